@@ -4,52 +4,28 @@ import express from 'express'
 import bodyParser from 'body-parser'
 import mongoSanitize from 'express-mongo-sanitize'
 import multer from 'multer'
-import os from 'os'
+import { createLogger, requestContext } from './modules/logger.js'
 
 const app = express()
+const log = createLogger('app')
 
-// Resource monitoring function
-function monitorResources() {
-    // Get CPU usage
-    const cpus = os.cpus()
-    let totalIdle = 0
-    let totalTick = 0
-    
-    cpus.forEach(cpu => {
-        for (const type in cpu.times) {
-            totalTick += cpu.times[type]
-        }
-        totalIdle += cpu.times.idle
-    })
-    
-    const cpuUsage = ((1 - totalIdle / totalTick) * 100).toFixed(2)
-    
-    // Get memory usage
-    const totalMemory = os.totalmem()
-    const freeMemory = os.freemem()
-    const usedMemory = totalMemory - freeMemory
-    const memoryUsage = ((usedMemory / totalMemory) * 100).toFixed(2)
-    
-    // Convert to MB for readability
-    const usedMemoryMB = Math.round(usedMemory / 1024 / 1024)
-    const totalMemoryMB = Math.round(totalMemory / 1024 / 1024)
-    
-    console.log(`
-        Resource Usage:
-        CPU: ${cpuUsage}%
-        Memory: ${memoryUsage}% (${usedMemoryMB}MB / ${totalMemoryMB}MB)
-        Timestamp: ${new Date().toISOString()}
-        ---------------------------------------`)
+// Proxies in front of the app, whose X-Forwarded-For gives the client IP rate limits are keyed by.
+// Both deployments (CapRover's nginx, the Azure App Service front end) add exactly one hop, so one
+// is trusted by default. Set TRUST_PROXY=false when the app is reached directly, otherwise clients
+// could pick their own IP. TRUST_PROXY takes a hop count, true/false or addresses/subnets.
+function parseTrustProxy(value) {
+    if (/^\d+$/.test(value)) return Number(value)
+    if (value === 'true' || value === 'false') return value === 'true'
+    return value
 }
-
-// Start monitoring every 10 seconds
-setInterval(monitorResources, 10000)
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || '1'))
 
 // Express Plugins
 app.use(function(req, res, next) {
     res.header('Access-Control-Allow-Origin', '*')
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-api-key, x-session-key')
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-api-key, x-session-key, x-request-id')
+    res.header('Access-Control-Expose-Headers', 'X-Request-Id')
     res.header('Access-Control-Allow-Credentials', 'true')
     res.header('Access-Control-Max-Age', '86400')
     next()
@@ -58,17 +34,51 @@ app.use(bodyParser.urlencoded({ extended: true }))
 app.use(bodyParser.json())
 app.use(multer().none())
 app.use(mongoSanitize({ replaceWith: '_', allowDots: true }))
+// After the body parsers, their stream callbacks would lose the request's correlation ID
+app.use(requestContext)
 
 await connectDB()
 
 app.listen(process.env.PORT, () => {
-    console.log(`Server started @ ${process.env.PORT}`)
+    log.info('Server started', { port: process.env.PORT })
 })
-console.log(`Is Windows: ${process.platform === 'win32'}`)
+log.info('Platform', { platform: process.platform, isWindows: process.platform === 'win32' })
 
 // API
 app.get('/', (req, res) => res.send('it works! :D'))
 
 import api from './modules/api.js'
-app.get('/avatar/:type/:username.webp', async (req, res) => api.getAvatar(req, res))
-app.get('/clear-cache', async (req, res) => api.handleCacheClear(req, res))
\ No newline at end of file
+import { requireScope } from './modules/auth.js'
+import { audit, getAuditLog } from './modules/audit.js'
+import { requestLimits, renderLimits } from './modules/rateLimits.js'
+import { getMetrics } from './modules/metrics.js'
+import storage from './modules/storage/index.js'
+
+// Objects of the local storage driver are served by the app itself
+if (storage.name === 'local' && storage.baseUrl.startsWith('/')) {
+    app.use(storage.baseUrl, express.static(storage.root))
+}
+
+app.get('/avatar/events/:username', requestLimits, async (req, res) => api.getRenderEvents(req, res))
+app.get('/avatar/direction/:directions/:username.:format(webp|png|avif)', requestLimits, async (req, res) => api.getAvatar(req, res))
+app.get('/avatar/:type/:username.:format(webp|png|avif)', requestLimits, async (req, res) => api.getAvatar(req, res))
+app.post('/avatars/batch', requestLimits, async (req, res) => api.getAvatarsBatch(req, res))
+app.post('/avatar/preview', requestLimits, renderLimits, async (req, res) => api.getPreview(req, res))
+
+api.watchCustomizations()
+
+// Prometheus
+app.get('/metrics', requireScope('metrics'), async (req, res) => getMetrics(req, res))
+
+// Admin, for API keys or staff sessions holding the scope (see auth.js). Changes are audited.
+app.post('/admin/cache/clear', requireScope('cache'), audit('cache.clear'), async (req, res) => api.handleCacheClear(req, res))
+app.get('/clear-cache', requireScope('cache'), audit('cache.clear'), async (req, res) => api.handleCacheClear(req, res))
+app.post('/admin/cache/invalidate', requireScope('cache'), audit('cache.invalidate'), async (req, res) => api.handleCacheInvalidate(req, res))
+app.get('/admin/queue', requireScope('queue.read'), async (req, res) => api.getQueueStatus(req, res))
+app.post('/admin/queue/config', requireScope('queue.write'), audit('queue.config'), async (req, res) => api.setQueueConfig(req, res))
+app.get('/admin/queue/jobs', requireScope('queue.read'), async (req, res) => api.getQueueJobs(req, res))
+app.post('/admin/queue/jobs/requeue', requireScope('queue.write'), audit('queue.requeue'), async (req, res) => api.requeueJobs(req, res))
+app.post('/admin/queue/jobs/:id/requeue', requireScope('queue.write'), audit('queue.requeue'), async (req, res) => api.requeueJobs(req, res))
+app.post('/admin/users/:username/rerender', requireScope('render'), audit('render.user'), async (req, res) => api.rerenderUser(req, res))
+app.post('/admin/items/:id/rerender', requireScope('render'), audit('render.item'), async (req, res) => api.rerenderItemWearers(req, res))
+app.get('/admin/audit', requireScope('audit.read'), async (req, res) => getAuditLog(req, res))
\ No newline at end of file
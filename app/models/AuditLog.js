@@ -0,0 +1,22 @@
+import mongoose from 'mongoose'
+
+const auditLogSchema = new mongoose.Schema({
+    // Who did it: an API key by name, or a staff user by username
+    actorType: { type: String, enum: ['api_key', 'user'], required: true },
+    actor: { type: String, required: true },
+
+    action: { type: String, required: true }, // e.g. cache.clear, queue.requeue, render.item
+    target: { type: String, default: '' }, // Username, item or job id the action was about
+    params: { type: mongoose.Schema.Types.Mixed }, // Query and body of the request
+    status: { type: Number }, // HTTP status it was answered with
+    ip: { type: String, default: '' },
+
+    expireAt: { type: Date } // Removed by the TTL index once past retention
+}, { timestamps: true })
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 })
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema)
+export default AuditLog
@@ -7,12 +7,42 @@ const itemSchema = new mongoose.Schema({
 
     creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     name: { type: String },
-    description: { type: String }, // !x = example: shoes infront of pants
+    description: { type: String }, // Legacy layering flags (!x = shoes infront of pants, !s = hair infront of top), prefer layering
     rarity: { type: Number, default: 0 }, // 0 - normal | 1 - rare | 2 - epic | 3 - legendary
     gender: { type: Number }, // Male = 0 | Female = 1 | Unisex = 2
     hasFatSheet: { type: Boolean, default: false },
 
-    isAnimated: { type: Boolean, default: false },
+    // Moves this item's slot in the draw order, e.g. { above: 'coat' } or { below: 'top' }
+    // Entries in directions (0-5) replace the default rule for that facing
+    layering: {
+        above: { type: String },
+        below: { type: String },
+        directions: [{
+            _id: false,
+            direction: { type: Number, min: 0, max: 5 },
+            above: { type: String },
+            below: { type: String }
+        }]
+    },
+
+    // Green-key (0,255,4) pixels in the sprite hide the listed slots drawn under this item,
+    // e.g. a hat clipping long hair. The key colour itself is never rendered.
+    occlusion: {
+        enabled: { type: Boolean, default: false },
+        slots: [{ type: String }] // Empty = every layer under this item except the base
+    },
+
+    // Regions players can recolour. With a dye mask the red channel marks the primary
+    // region and green the secondary one, otherwise pixels are matched by hue range (0-360).
+    dyeable: { type: Boolean, default: false },
+    dyeMaskLocation: { type: String },
+    dyeRegions: {
+        primary: { hueMin: Number, hueMax: Number, saturationMin: Number },
+        secondary: { hueMin: Number, hueMax: Number, saturationMin: Number }
+    },
+
+    isAnimated: { type: Boolean, default: false }, // Frames are stacked vertically, one 850px row each
+    frameDuration: { type: Number, default: 100 }, // ms per frame
     group: { type: String },
 
     costCoins: { type: Number },
@@ -23,7 +53,8 @@ const itemSchema = new mongoose.Schema({
 
     previewLocation: { type: String },
     spriteLocation: { type: String },
-    fatSpriteLocation: { type: String },
+    fatSpriteLocation: { type: String }, // Sheet used for the curvy body type when hasFatSheet is set
+    spriteVersion: { type: String, default: '' }, // Content hash of the sprite art, part of sprite cache keys and customizationHash
 
     category: { type: Number },
     tags: { type: Number }
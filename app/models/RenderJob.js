@@ -0,0 +1,29 @@
+import mongoose from 'mongoose'
+
+const renderJobSchema = new mongoose.Schema({
+    // One render produces the sprite, thumbnail and avatar, so jobs are per user and hash
+    username: { type: String, required: true },
+    hash: { type: String, default: '' }, // customizationHash the job was queued for
+    priority: { type: Number, default: 2 }, // Lane, lower runs first (see AvatarQueue.PRIORITY)
+
+    status: { type: String, enum: ['queued', 'processing', 'completed', 'failed'], default: 'queued' },
+    active: { type: Boolean }, // true while queued or processing, unset otherwise (dedup index)
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+
+    availableAt: { type: Date, default: Date.now }, // Not picked up before this (retry backoff)
+    lockedUntil: { type: Date }, // Visibility timeout, expired locks are picked up again
+    lockedBy: { type: String },
+
+    lastError: { type: String, default: '' },
+    completedAt: { type: Date },
+    expireAt: { type: Date }, // Finished jobs are removed by the TTL index
+    requestId: { type: String }, // Correlation ID of the request that queued the job, for the logs
+}, { timestamps: true })
+
+renderJobSchema.index({ username: 1, hash: 1 }, { unique: true, partialFilterExpression: { active: true } })
+renderJobSchema.index({ status: 1, priority: 1, availableAt: 1 })
+renderJobSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 })
+
+const RenderJob = mongoose.model('RenderJob', renderJobSchema)
+export default RenderJob
@@ -48,6 +48,8 @@ const userSchema = new mongoose.Schema({
     thumbnail: { type: String, default: '' },
     avatar: { type: String, default: '' },
     clothing: { type: String, default: '' },
+    clothingFrames: { type: Number, default: 1 }, // Rows in the clothing sprite sheet, one per animation frame
+    clothingFrameDuration: { type: Number, default: 0 }, // ms per frame, 0 when static
     honor: { type: Number, default: 1 },
     membership: { type: Number, default: 0 },
     coins: { type: Number, default: 50000 },
@@ -74,6 +76,7 @@ const userSchema = new mongoose.Schema({
         bodyType: { type: Number, default: 0 }, // 0 = Normal | 1 = Curvy | 2 = Thin (Female only)
         //isFat: { type: Boolean, default: false },
         skinTone: { type: Number, default: 0 },
+        skinColor: { type: String, default: '' }, // Hex colour, overrides skinTone when set
         height: { type: Number, default: 1 },
         width: { type: Number, default: 1 },
 
@@ -126,6 +129,15 @@ const userSchema = new mongoose.Schema({
             legRight: { type: mongoose.Types.ObjectId, ref: 'Item' },
             legLeft: { type: mongoose.Types.ObjectId, ref: 'Item' },
         },
+
+        // Dye colours per layer name (e.g. top, tattoo_head), only used by dyeable items
+        dyes: {
+            type: Map,
+            of: new mongoose.Schema({
+                primary: { type: String, default: '' },
+                secondary: { type: String, default: '' }
+            }, { _id: false })
+        },
     },
 
     inventory: [{ type: mongoose.Types.ObjectId, ref: 'Item' }],
@@ -148,5 +160,8 @@ const userSchema = new mongoose.Schema({
     }]
 }, { timestamps: true })
 
+// The customization watcher polls by updatedAt when change streams aren't available
+userSchema.index({ updatedAt: 1 })
+
 const User = mongoose.model('User', userSchema)
 export default User
\ No newline at end of file
@@ -0,0 +1,99 @@
+import sharp from 'sharp'
+
+// Chunks of a still WebP that make up the frame bitstream inside an ANMF chunk
+const FRAME_CHUNKS = ['ALPH', 'VP8 ', 'VP8L']
+
+const writeUInt24 = (buffer, value, offset) => {
+    buffer.writeUIntLE(value, offset, 3)
+}
+
+const makeChunk = (fourCC, payload) => {
+    const header = Buffer.alloc(8)
+    header.write(fourCC, 0, 'ascii')
+    header.writeUInt32LE(payload.length, 4)
+
+    // Chunks are padded to an even size
+    const padding = payload.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0)
+    return Buffer.concat([header, payload, padding])
+}
+
+/**
+ * Extracts the ALPH/VP8/VP8L chunks from a still WebP
+ * @param {Buffer} webp - Encoded still WebP
+ * @returns {Buffer} The raw chunks, ready to be wrapped in an ANMF chunk
+ */
+const getFrameData = (webp) => {
+    if (webp.toString('ascii', 0, 4) !== 'RIFF' || webp.toString('ascii', 8, 12) !== 'WEBP') {
+        throw new Error('Invalid WebP frame')
+    }
+
+    const chunks = []
+    let offset = 12
+    while (offset + 8 <= webp.length) {
+        const fourCC = webp.toString('ascii', offset, offset + 4)
+        const size = webp.readUInt32LE(offset + 4)
+        const end = offset + 8 + size + (size % 2)
+
+        if (FRAME_CHUNKS.includes(fourCC)) {
+            chunks.push(webp.subarray(offset, end))
+        }
+        offset = end
+    }
+
+    return Buffer.concat(chunks)
+}
+
+/**
+ * Encodes equally sized frames into an animated WebP.
+ * sharp 0.30 can't assemble animations itself, so every frame is encoded as a
+ * still WebP and the bitstreams are muxed into ANMF chunks here.
+ * @param {Buffer[]} frames - Frame images in any format sharp can read
+ * @param {Object} options
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @param {number} options.delay - Frame duration in milliseconds
+ * @param {number} [options.quality=95] - WebP quality
+ * @param {number} [options.loop=0] - Number of loops, 0 = infinite
+ * @returns {Promise<Buffer>} The animated WebP
+ */
+const encodeAnimatedWebp = async (frames, { width, height, delay, quality = 95, loop = 0 }) => {
+    const anmfChunks = []
+
+    for (const frame of frames) {
+        const still = await sharp(frame).webp({ quality }).toBuffer()
+
+        const header = Buffer.alloc(16)
+        writeUInt24(header, 0, 0) // X offset / 2
+        writeUInt24(header, 0, 3) // Y offset / 2
+        writeUInt24(header, width - 1, 6)
+        writeUInt24(header, height - 1, 9)
+        writeUInt24(header, Math.max(0, Math.min(delay, 0xFFFFFF)), 12)
+        header.writeUInt8(0x02, 15) // Do not blend, do not dispose: every frame is a full frame
+
+        anmfChunks.push(makeChunk('ANMF', Buffer.concat([header, getFrameData(still)])))
+    }
+
+    const vp8x = Buffer.alloc(10)
+    vp8x.writeUInt8(0x10 | 0x02, 0) // Alpha + animation
+    writeUInt24(vp8x, width - 1, 4)
+    writeUInt24(vp8x, height - 1, 7)
+
+    const anim = Buffer.alloc(6)
+    anim.writeUInt32LE(0, 0) // Transparent background
+    anim.writeUInt16LE(loop, 4)
+
+    const body = Buffer.concat([
+        Buffer.from('WEBP', 'ascii'),
+        makeChunk('VP8X', vp8x),
+        makeChunk('ANIM', anim),
+        ...anmfChunks
+    ])
+
+    const riffHeader = Buffer.alloc(8)
+    riffHeader.write('RIFF', 0, 'ascii')
+    riffHeader.writeUInt32LE(body.length, 4)
+
+    return Buffer.concat([riffHeader, body])
+}
+
+export { encodeAnimatedWebp }
@@ -1,148 +1,103 @@
 import { xxHash32 } from 'js-xxhash'
 import { createCanvas, loadImage } from 'canvas'
 import uploadContent from './uploadContent.js'
-import axios from 'axios'
+import storage from './storage/index.js'
+import { getLayering, resolveLayerOrder } from './layering.js'
+import { createKeyMask, dyeImage, getWorkerPoolStats } from './imageProcessor.js'
+import { encodeAnimatedWebp } from './animatedWebp.js'
+import { loadBase, normalizeHexColor } from './skinTone.js'
+import { getCropPreset, getPresetRect, fitRect, fitToContent } from './cropPresets.js'
+import { checkRenderLimit } from './rateLimits.js'
+import { renderStageDuration, renderDuration, imageFetchFailures, recordCacheLookup, observeQueue } from './metrics.js'
+import { parseVariant, parseVariantSpec, isOriginal, getVariantKey, renderVariant, getContentType } from './variants.js'
 import fs from 'fs/promises'
 import path from 'path'
 import sharp from 'sharp'
 import { LRUCache } from 'lru-cache'
 import crypto from 'crypto'
-import AWS from 'aws-sdk'
-import EventEmitter from 'events'
+import AvatarQueue from './avatarQueue.js'
+import * as renderEvents from './renderEvents.js'
+import CustomizationWatcher from './customizationWatcher.js'
+import { createLogger } from './logger.js'
 
 import User from '../models/User.js'
 import Item from '../models/Item.js'
+import RenderJob from '../models/RenderJob.js'
 
-const spacesEndpoint = new AWS.Endpoint(process.env.DO_ENDPOINT)
-const s3 = new AWS.S3({
-    endpoint: spacesEndpoint,
-    accessKeyId: process.env.DO_SPACE_ID,
-    secretAccessKey: process.env.DO_SPACE_KEY
-});
-
-// Queue system for avatar generation
-class AvatarQueue extends EventEmitter {
-    constructor() {
-        super();
-        this.queue = [];
-        this.processing = new Map(); // Track currently processing items
-        this.maxConcurrent = 2; // Maximum concurrent generations
-        this.maxQueueSize = 2; // Queue size threshold for returning old images
-    }
-
-    async add(task) {
-        const key = `${task.type}-${task.username}`;
-        
-        // Check if already processing
-        if (this.processing.has(key)) {
-            return { status: 'processing', promise: this.processing.get(key) };
-        }
-
-        // Check if already in queue
-        const existingIndex = this.queue.findIndex(t => 
-            t.type === task.type && t.username === task.username
-        );
-        
-        if (existingIndex !== -1) {
-            return { status: 'queued', position: existingIndex };
-        }
-
-        // Add to queue regardless of size
-        this.queue.push(task);
-        this.emit('task_added', task);
-        
-        // Start processing if under limit
-        setImmediate(() => this.process());
-        
-        // Return different status based on queue size
-        if (this.queue.length > this.maxQueueSize) {
-            return { 
-                status: 'queue_full_but_added', 
-                queueLength: this.queue.length,
-                position: this.queue.length - 1 
-            };
-        }
-        
-        return { status: 'queued', position: this.queue.length - 1 };
-    }
-
-    async process() {
-        if (this.processing.size >= this.maxConcurrent || this.queue.length === 0) {
-            return;
-        }
+const log = createLogger('api');
 
-        const task = this.queue.shift();
-        if (!task) return;
+// Create singleton queue instance
+const avatarQueue = new AvatarQueue({
+    maxConcurrent: parseInt(process.env.QUEUE_MAX_CONCURRENT) || 2,
+    maxQueueSize: parseInt(process.env.QUEUE_MAX_SIZE) || 2,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+    retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY_MS) || 5000,
+    visibilityTimeout: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000,
+    jobTimeout: parseInt(process.env.QUEUE_JOB_TIMEOUT_MS) || 10 * 60 * 1000
+});
 
-        const key = `${task.type}-${task.username}`;
-        
-        const promise = this.executeTask(task);
-        this.processing.set(key, promise);
+observeQueue(avatarQueue);
 
-        try {
-            await promise;
-        } finally {
-            this.processing.delete(key);
-            // Process next item
-            setImmediate(() => this.process());
-        }
-    }
+// Log queue events, tasks run with their task ID and the ID of the request that queued them
+avatarQueue.on('task_added', (task) => {
+    log.info('Avatar generation queued', { username: task.username, hash: task.hash, priority: task.priority });
+});
 
-    async executeTask(task) {
-        try {
-            const result = await task.execute();
-            this.emit('task_completed', task, result);
-            return result;
-        } catch (error) {
-            this.emit('task_failed', task, error);
-            throw error;
-        }
-    }
+avatarQueue.on('task_completed', (task) => {
+    log.info('Avatar generation completed', { username: task.username, hash: task.hash });
+});
 
-    getStatus() {
-        return {
-            queueLength: this.queue.length,
-            processing: this.processing.size,
-            totalPending: this.queue.length + this.processing.size
-        };
-    }
-}
+avatarQueue.on('task_failed', (task, error) => {
+    log.error('Avatar generation failed', { username: task.username, hash: task.hash, attempt: task.attempts, maxAttempts: task.maxAttempts, error });
+});
 
-// Create singleton queue instance
-const avatarQueue = new AvatarQueue();
+avatarQueue.on('task_dead', (task) => {
+    log.error('Avatar generation gave up', { username: task.username, hash: task.hash });
+});
 
-// Log queue events (optional)
+// Push queue progress to clients subscribed through /avatar/events/:username.
+// Only jobs processed by this instance are reported.
 avatarQueue.on('task_added', (task) => {
-    console.log(`Avatar generation queued: ${task.type}/${task.username}`);
+    renderEvents.publish(task.username, 'queued', { username: task.username, hash: task.hash });
 });
 
-avatarQueue.on('task_completed', (task) => {
-    console.log(`Avatar generation completed: ${task.type}/${task.username}`);
+avatarQueue.on('task_started', (task) => {
+    renderEvents.publish(task.username, 'processing', { username: task.username, hash: task.hash, attempt: task.attempts });
+});
+
+avatarQueue.on('task_completed', async (task) => {
+    if (!renderEvents.hasSubscribers(task.username)) return;
+    try {
+        const urls = await getRenderUrls(task.username);
+        const paths = getVersionedPaths(task.username, task.hash);
+        renderEvents.publish(task.username, 'completed', { username: task.username, hash: task.hash, urls, paths });
+    } catch (error) {
+        log.error('Error publishing render completion', { username: task.username, error });
+    }
 });
 
 avatarQueue.on('task_failed', (task, error) => {
-    console.error(`Avatar generation failed: ${task.type}/${task.username}`, error);
+    renderEvents.publish(task.username, 'failed', {
+        username: task.username,
+        hash: task.hash,
+        error: error?.message ?? 'Render failed',
+        attempt: task.attempts,
+        retrying: !error?.permanent && task.attempts < task.maxAttempts
+    });
 });
 
 /**
- * Helper function to check if an object exists in DigitalOcean Spaces
- * @param {Object} params - S3 parameters with Bucket and Key
+ * Helper function to check if an object exists in storage
+ * @param {Object} params - Storage parameters with Key
  * @returns {Promise<boolean>} - true if object exists, false otherwise
  */
 const checkObjectExists = async (params) => {
-    try {
-        await s3.headObject({
-            Bucket: params.Bucket,
-            Key: params.Key
-        }).promise();
-        return true;
-    } catch (error) {
-        if (error.code === 'NotFound') {
-            return false;
-        }
-        // Re-throw other errors
-        throw error;
-    }
+    return !!(await storage.head(params.Key));
+};
+
+// URL clients can fetch a stored object from, signed for params.Expires seconds where the driver supports it
+const getSignedUrl = async (params) => {
+    return await storage.url(params.Key, { expires: params.Expires });
 };
 
 const AVATARS_DIR = path.join(process.cwd(), 'avatars');
@@ -157,13 +112,15 @@ const avatarCache = new LRUCache({
     updateAgeOnGet: true
 })
 
+// Rendered front-facing avatar of a hash, counted in the cache metrics
+const getCachedAvatar = (hash) => recordCacheLookup('avatar', avatarCache.get(hash))
+
 // Pre-initialize sharp for better performance
 sharp.cache(true)
 sharp.concurrency(2) // Adjust based on server CPU cores
 
 const getParams = (username) => {
     return {
-        Bucket: process.env.DO_SPACE_NAME,
         Key: `user-clothing/${username}.webp`,
         Expires: 3600 // URL expires in 1 hour
     }
@@ -171,7 +128,6 @@ const getParams = (username) => {
 
 const getParamsAvatar = (username) => {
     return {
-        Bucket: process.env.DO_SPACE_NAME,
         Key: `user-avatar/${username}.webp`,
         Expires: 3600 // URL expires in 1 hour
     }
@@ -179,53 +135,434 @@ const getParamsAvatar = (username) => {
 
 const getParamsThumbnail = (username) => {
     return {
-        Bucket: process.env.DO_SPACE_NAME,
         Key: `user-thumbnail/${username}.webp`,
         Expires: 3600 // URL expires in 1 hour
     }
 }
 
+/**
+ * Whether the request comes from the player themselves, identified by their session key.
+ * Their renders go in the fastest lane since they just changed clothes.
+ */
+const isOwnerRequest = (req, user) => {
+    const sessionKey = req.get('x-session-key')
+    return !!sessionKey && sessionKey === user.sessionKey && (!user.sessionExpire || user.sessionExpire > new Date())
+}
+
+// Storage params and the User field holding the uploaded key, per output type
+const OUTPUTS = {
+    sprite: { getParams: getParams, field: 'clothing' },
+    thumbnail: { getParams: getParamsThumbnail, field: 'thumbnail' },
+    avatar: { getParams: getParamsAvatar, field: 'avatar' }
+};
+
+const MAX_BATCH_USERS = 100;
+
+// How avatars are delivered: 'redirect' to a signed storage URL, or 'stream' the bytes through this server
+const AVATAR_DELIVERY = process.env.AVATAR_DELIVERY === 'stream' ? 'stream' : 'redirect';
+// Seconds clients may reuse a response of the unversioned URL before revalidating
+const AVATAR_MAX_AGE = parseInt(process.env.AVATAR_CACHE_MAX_AGE) || 60;
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Whether the client's If-None-Match already names this ETag
+const matchesEtag = (req, etag) => {
+    const header = req.get('If-None-Match');
+    if (!header) return false;
+
+    return header.split(',').some(tag => {
+        tag = tag.trim().replace(/^W\//, '');
+        return tag === '*' || tag === etag;
+    });
+};
+
+// The ETag is the customizationHash. Requests for ?v=<customizationHash> always get the same
+// bytes and can be cached for good, the plain URL changes with the next outfit.
+const setAvatarCacheHeaders = (req, res, hash) => {
+    res.set('ETag', `"${hash}"`);
+    res.set('Cache-Control', req.query.v === hash ? IMMUTABLE_CACHE_CONTROL : `public, max-age=${AVATAR_MAX_AGE}`);
+};
+
+// Redirect URLs are signed per window of REDIRECT_WINDOW seconds and stay valid until the end of
+// the next one, so a redirect revalidated within its window still points to a working URL
+const REDIRECT_WINDOW = 1800;
+const getRedirectWindow = () => Math.floor(Date.now() / 1000 / REDIRECT_WINDOW);
+const getRedirectEtag = (hash) => `"${hash}-${getRedirectWindow()}"`;
+
+const setRedirectCacheHeaders = (res, hash) => {
+    res.set('ETag', getRedirectEtag(hash));
+    res.set('Cache-Control', `public, max-age=${Math.min(AVATAR_MAX_AGE, 300)}`);
+};
+
+/**
+ * Answers 304 if the client already holds the bytes of this hash, or a redirect still valid.
+ * Only called once the requested object is known to exist.
+ * @returns {boolean} true if the 304 has been sent
+ */
+const sendNotModified = (req, res, hash) => {
+    if (matchesEtag(req, `"${hash}"`)) {
+        setAvatarCacheHeaders(req, res, hash);
+    } else if (matchesEtag(req, getRedirectEtag(hash))) {
+        setRedirectCacheHeaders(res, hash);
+    } else {
+        return false;
+    }
+    res.status(304).end();
+    return true;
+};
+
+// Redirects to a stored object with a URL signed for the current window
+const sendRedirect = async (key, hash, req, res) => {
+    if (sendNotModified(req, res, hash)) return;
+
+    const expires = (getRedirectWindow() + 2) * REDIRECT_WINDOW - Math.floor(Date.now() / 1000);
+    const signedUrl = await getSignedUrl({ Key: key, Expires: expires });
+    setRedirectCacheHeaders(res, hash);
+    res.status(307).redirect(signedUrl);
+};
+
+// Route paths of a render's outputs pinned to its hash, served with immutable caching when streamed
+const getVersionedPaths = (username, hash, types = Object.keys(OUTPUTS)) => {
+    return Object.fromEntries(types.map(type => [type, `/avatar/${type}/${encodeURIComponent(username)}.webp?v=${hash}`]));
+};
+
+/**
+ * Sends a stored output through this server instead of redirecting to storage
+ * @returns {Promise<boolean>} false if the output isn't in storage
+ */
+const streamAvatarOutput = async (type, username, hash, req, res) => {
+    const output = OUTPUTS[type];
+    const key = output.getParams(username).Key;
+    let body = output === OUTPUTS.avatar ? getCachedAvatar(hash) : null;
+
+    // Only fetched once the client turns out not to have it
+    if (!body && !(await storage.head(key))) return false;
+    if (sendNotModified(req, res, hash)) return true;
+
+    let lastModified = null;
+    if (!body) {
+        const object = await storage.get(key);
+        if (!object) return false;
+
+        body = object.body;
+        lastModified = object.lastModified;
+    }
+
+    setAvatarCacheHeaders(req, res, hash);
+    if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+    res.type('image/webp');
+    res.status(200).send(body);
+    return true;
+};
+
+// Variants made with every render (EAGER_VARIANTS, e.g. thumbnail@64.webp,avatar.png), others on first request
+const EAGER_VARIANTS = (process.env.EAGER_VARIANTS ?? 'thumbnail@64.webp,thumbnail@128.webp,avatar.png')
+    .split(',')
+    .filter(spec => spec.trim())
+    .map(parseVariantSpec)
+    .filter(variant => variant && OUTPUTS[variant.type]);
+
+// Variants being generated, so concurrent requests share the work
+const pendingVariants = new Map();
+
+/**
+ * Finds or generates an object derived from a stored output (a variant or a preset crop)
+ * @param {string} baseKey - Key of the output it is made from
+ * @param {string} key - Key of the derived object
+ * @param {Buffer} [cached] - The output, when it is still in memory
+ * @param {Function} derive - Makes the derived object from the output
+ * @param {string} contentType - Content type of the derived object
+ * @returns {Promise<Object|null>} { key, body }, body only when just generated, or null if the original isn't stored
+ */
+const ensureDerived = async (baseKey, key, cached, derive, contentType) => {
+    const [base, existing] = await Promise.all([storage.head(baseKey), storage.head(key)]);
+    if (!base) return null;
+
+    // Derived objects older than their original are left over from a previous render
+    if (existing && existing.lastModified >= base.lastModified) return { key, body: null };
+
+    if (!pendingVariants.has(key)) {
+        const pending = (async () => {
+            const original = cached || (await storage.get(baseKey))?.body;
+            if (!original) return null;
+
+            const body = await derive(original);
+            await storage.put(key, body, { contentType });
+            return body;
+        })().finally(() => pendingVariants.delete(key));
+        pendingVariants.set(key, pending);
+    }
+
+    const body = await pendingVariants.get(key);
+    return body ? { key, body } : null;
+};
+
+// Finds or generates a variant (other format or size) of a stored output
+const ensureVariant = async (type, username, hash, variant) => {
+    const baseKey = OUTPUTS[type].getParams(username).Key;
+    const cached = type === 'avatar' ? getCachedAvatar(hash) : null;
+
+    return await ensureDerived(baseKey, getVariantKey(baseKey, variant), cached,
+        original => renderVariant(original, variant), getContentType(variant));
+};
+
+// Storage key of a crop preset, e.g. user-crop/bob/headshot.webp
+const getPresetKey = (name, username) => `user-crop/${username}/${name}.webp`;
+
+// Finds or generates a crop preset of the front-facing avatar, in any variant
+const ensurePresetCrop = async (name, user, hash, variant) => {
+    const baseKey = getParamsAvatar(user.username).Key;
+    const key = getVariantKey(getPresetKey(name, user.username), variant);
+
+    return await ensureDerived(baseKey, key, getCachedAvatar(hash), async (original) => {
+        const crop = await renderPresetCrop(original, getCropPreset(name), user.customization ?? {});
+        return isOriginal(variant) ? crop : await renderVariant(crop, variant);
+    }, getContentType(variant));
+};
+
+// Storage key of a set of facings, e.g. user-direction/bob/0-3.webp
+const getDirectionsKey = (directions, username) => `user-direction/${username}/${directions.join('-')}.webp`;
+
+// Finds or generates facings cut from the stored sprite sheet, in any variant
+const ensureDirections = async (directions, user, variant) => {
+    const baseKey = getParams(user.username).Key;
+    const key = getVariantKey(getDirectionsKey(directions, user.username), variant);
+
+    return await ensureDerived(baseKey, key, null, async (original) => {
+        const facings = await renderDirections(original, directions, user.clothingFrameDuration ?? STATIC_ANIMATION.frameDuration);
+        return isOriginal(variant) ? facings : await renderVariant(facings, variant);
+    }, getContentType(variant));
+};
+
+/**
+ * Sends a derived object, streamed or as a redirect like the outputs
+ * @returns {Promise<boolean>} false if the original output isn't stored
+ */
+const sendDerived = async (result, hash, variant, req, res) => {
+    if (!result) return false;
+
+    if (AVATAR_DELIVERY === 'stream') {
+        if (sendNotModified(req, res, hash)) return true;
+
+        const body = result.body ?? (await storage.get(result.key))?.body;
+        if (!body) return false;
+
+        setAvatarCacheHeaders(req, res, hash);
+        res.type(getContentType(variant));
+        res.status(200).send(body);
+        return true;
+    }
+
+    await sendRedirect(result.key, hash, req, res);
+    return true;
+};
+
+// Sends a variant of an output, generating it on first request
+const sendVariant = async (type, username, hash, variant, req, res) => {
+    return await sendDerived(await ensureVariant(type, username, hash, variant), hash, variant, req, res);
+};
+
+// Sends a crop preset (/avatar/headshot/bob.webp), generating it on first request
+const sendPresetCrop = async (name, user, hash, variant, req, res) => {
+    return await sendDerived(await ensurePresetCrop(name, user, hash, variant), hash, variant, req, res);
+};
+
+// Sends facings of the sprite sheet (/avatar/direction/0,3/bob.webp), generating them on first request
+const sendDirections = async (directions, user, hash, variant, req, res) => {
+    return await sendDerived(await ensureDirections(directions, user, variant), hash, variant, req, res);
+};
+
+// Generates the eager variants from freshly rendered outputs, keyed by output type
+const storeEagerVariants = async (username, outputs) => {
+    await Promise.all(EAGER_VARIANTS.map(async (variant) => {
+        try {
+            const key = getVariantKey(OUTPUTS[variant.type].getParams(username).Key, variant);
+            await storage.put(key, await renderVariant(outputs[variant.type], variant), { contentType: getContentType(variant) });
+        } catch (error) {
+            log.error('Failed to generate variant', { username, type: variant.type, error });
+        }
+    }));
+};
+
+// Signed URLs of every output of a render
+const getRenderUrls = async (username) => {
+    const [sprite, thumbnail, avatar] = await Promise.all([
+        getSignedUrl(getParams(username)),
+        getSignedUrl(getParamsThumbnail(username)),
+        getSignedUrl(getParamsAvatar(username))
+    ]);
+    return { sprite, thumbnail, avatar };
+};
+
+/**
+ * Server-Sent Events stream of a user's renders: queued, processing, completed (with the
+ * final URLs and versioned paths) and failed. Lets clients swap in the new sprite instead of polling.
+ */
+const getRenderEvents = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const user = await User.findOne({ username }, 'username', { lean: true });
+        if (!user) {
+            return res.status(404).send('User not found.');
+        }
+
+        if (renderEvents.isFull()) {
+            res.set('Retry-After', '30');
+            return res.status(503).send('Too many open event streams, try again later.');
+        }
+        if (!renderEvents.subscribe(username, res)) {
+            return res.status(429).send('Too many subscribers for this user.');
+        }
+
+        // Tell the client where things stand if a render is already pending
+        const job = await RenderJob.findOne({ username, active: true }, 'hash status attempts', { lean: true });
+        if (job) {
+            renderEvents.send(res, job.status, { username, hash: job.hash, ...(job.status === 'processing' && { attempt: job.attempts }) });
+        }
+    } catch (error) {
+        log.error('Render events error', { error });
+        if (!res.headersSent) {
+            res.status(500).send('Error subscribing to render events');
+        }
+    }
+};
+
+/**
+ * Resolves the outputs of many users at once, e.g. everyone in a room.
+ * Body: usernames (max 100), types (sprite | thumbnail | avatar, defaults to avatar)
+ * Responds with a map of username to { status: ready | pending | not_found, urls },
+ * ready users also get their hash and the versioned route paths (see getVersionedPaths),
+ * pending users keep their previous URLs when they have any. Stale renders are queued together.
+ */
+const getAvatarsBatch = async (req, res) => {
+    try {
+        const { usernames } = req.body ?? {};
+        const types = req.body?.types ?? ['avatar'];
+
+        if (!Array.isArray(usernames) || usernames.length === 0 || !usernames.every(username => typeof username === 'string')) {
+            return res.status(400).json({ success: false, message: 'usernames must be a non-empty array of strings' });
+        }
+        if (usernames.length > MAX_BATCH_USERS) {
+            return res.status(400).json({ success: false, message: `At most ${MAX_BATCH_USERS} usernames per request` });
+        }
+        if (!Array.isArray(types) || types.length === 0 || !types.every(type => Object.hasOwn(OUTPUTS, type))) {
+            return res.status(400).json({ success: false, message: `types must be a list of: ${Object.keys(OUTPUTS).join(', ')}` });
+        }
+
+        const uniqueUsernames = [...new Set(usernames)];
+        const users = await User.find({ username: { $in: uniqueUsernames } }, 'username customization customizationHash clothing thumbnail avatar', { lean: true });
+        const usersByName = new Map(users.map(user => [user.username, user]));
+
+        const versions = await getItemVersions(users.flatMap(user => Object.values(getSlotItemIds(user.customization ?? {}))));
+        const results = {};
+        const stale = [];
+
+        for (const username of uniqueUsernames) {
+            const user = usersByName.get(username);
+            if (!user) {
+                results[username] = { status: 'not_found' };
+                continue;
+            }
+
+            // The stored keys stand in for headObject, they are only set once the upload succeeded
+            const hash = hashCustomization(user, versions);
+            const upToDate = user.customizationHash === hash && types.every(type => user[OUTPUTS[type].field]);
+
+            const urls = {};
+            for (const type of types) {
+                if (user[OUTPUTS[type].field]) {
+                    urls[type] = await getSignedUrl(OUTPUTS[type].getParams(username));
+                }
+            }
+
+            if (upToDate) {
+                results[username] = { status: 'ready', urls, hash, paths: getVersionedPaths(username, hash, types) };
+            } else {
+                results[username] = { status: 'pending', urls, events: `/avatar/events/${username}` };
+                stale.push({ username, hash, priority: AvatarQueue.PRIORITY.visitor });
+            }
+        }
+
+        // A batch that queues anything takes one render from the client's budget
+        if (stale.length > 0 && !(await checkRenderLimit(req, res))) return;
+
+        const queued = stale.length > 0 ? await avatarQueue.addMany(stale) : 0;
+
+        res.status(200).json({ success: true, users: results, queued });
+    } catch (error) {
+        log.error('Batch avatar error', { error });
+        res.status(500).json({ success: false, message: 'Error resolving avatars' });
+    }
+};
+
 const getAvatar = async (req, res) => {
     try {
-        const type = req.params.type;
+        // Crop presets are cut from the avatar, other unknown types fall back to it
+        const isOutput = Object.hasOwn(OUTPUTS, req.params.type);
+        const preset = !isOutput && getCropPreset(req.params.type) ? req.params.type : null;
         const username = req.params.username;
+
+        // Facings are cut from the sprite sheet (/avatar/direction/:directions/...)
+        const directions = req.params.directions !== undefined ? parseDirections(req.params.directions) : null;
+        if (req.params.directions !== undefined && !directions) {
+            return res.status(400).send('Invalid directions.');
+        }
+        const type = directions ? 'sprite' : isOutput ? req.params.type : 'avatar';
+
+        // Format from the extension, size or scale from the query
+        const variant = parseVariant(req.params.format, req.query);
+        if (!variant) {
+            return res.status(400).send('Invalid format, size or scale.');
+        }
         
         // Find user with minimal projection
-        const user = await User.findOne({ username }, 'username customization customizationHash clothing thumbnail avatar', { lean: true });
+        const user = await User.findOne({ username }, 'username customization customizationHash clothing clothingFrameDuration thumbnail avatar sessionKey sessionExpire', { lean: true });
         
         if (!user) {
             return res.status(404).send('User not found.');
         }
 
         // Calculate hash only once
-        const hash = xxHash32(JSON.stringify({ username: user.username, customization: user.customization }), 0).toString();
+        const hash = await getCustomizationHash(user);
 
-        // Check if current hash matches stored hash (avatar is up to date)
+        // Check if current hash matches stored hash (avatar is up to date).
+        // Each branch answers 304 itself once it knows the requested object exists.
         if (user.customizationHash === hash) {
             // Try to return existing avatar based on type
-            if (type === 'sprite') {
+            if (directions) {
+                if (await sendDirections(directions, user, hash, variant, req, res)) return;
+                log.debug('Stored output not found, checking queue', { username, type: 'direction' });
+            } else if (preset) {
+                if (await sendPresetCrop(preset, user, hash, variant, req, res)) return;
+                log.debug('Stored output not found, checking queue', { username, type: preset });
+            } else if (!isOriginal(variant)) {
+                if (await sendVariant(type, username, hash, variant, req, res)) return;
+                log.debug('Stored output not found, checking queue', { username, type });
+            } else if (AVATAR_DELIVERY === 'stream') {
+                if (await streamAvatarOutput(type, username, hash, req, res)) return;
+                log.debug('Stored output not found, checking queue', { username, type });
+            } else if (type === 'sprite') {
                 const params = getParams(username);
                 const exists = await checkObjectExists(params);
                 
                 if (exists) {
-                    const signedUrl = await s3.getSignedUrlPromise('getObject', params);
-                    return res.status(307).redirect(signedUrl);
+                    return await sendRedirect(params.Key, hash, req, res);
                 }
-                console.log(`Sprite file not found on DO for user ${username}, will check queue...`);
+                log.debug('Stored output not found, checking queue', { username, type });
             } else if (type === 'thumbnail') {
                 const params = getParamsThumbnail(username);
                 const exists = await checkObjectExists(params);
                 
                 if (exists) {
-                    const signedUrl = await s3.getSignedUrlPromise('getObject', params);
-                    return res.status(307).redirect(signedUrl);
+                    return await sendRedirect(params.Key, hash, req, res);
                 }
-                console.log(`Thumbnail file not found on DO for user ${username}, will check queue...`);
+                log.debug('Stored output not found, checking queue', { username, type });
             } else {
                 // Check memory cache first
-                const cachedAvatar = avatarCache.get(hash);
+                const cachedAvatar = getCachedAvatar(hash);
                 if (cachedAvatar) {
-                    return res.status(200).send(cachedAvatar);
+                    if (sendNotModified(req, res, hash)) return;
+                    setAvatarCacheHeaders(req, res, hash);
+                    return res.status(200).type('image/webp').send(cachedAvatar);
                 }
 
                 // Check DO storage
@@ -233,28 +570,26 @@ const getAvatar = async (req, res) => {
                 const exists = await checkObjectExists(params);
                 
                 if (exists) {
-                    const signedUrl = await s3.getSignedUrlPromise('getObject', params);
-                    return res.status(307).redirect(signedUrl);
+                    return await sendRedirect(params.Key, hash, req, res);
                 }
-                console.log(`Avatar file not found on DO for user ${username}, will check queue...`);
+                log.debug('Stored output not found, checking queue', { username, type });
             }
         }
 
+        // Whatever is sent from here on is outdated or a placeholder
+        res.set('Cache-Control', 'no-store');
+
+        // Only new work counts against the render budgets, polling a queued render doesn't
+        if (!(await avatarQueue.isPending({ username, hash })) && !(await checkRenderLimit(req, res))) return;
+
         // Avatar needs to be generated - add to queue
         // If queue has more than 2 items, we'll return old avatar but still queue for regeneration
-        const queueStatus = await avatarQueue.add({
-            type,
-            username,
-            user,
-            hash,
-            execute: async () => {
-                return await createAvatarThumbnail(user, hash, type, null);
-            }
-        });
+        const priority = isOwnerRequest(req, user) ? AvatarQueue.PRIORITY.owner : AvatarQueue.PRIORITY.visitor;
+        const queueStatus = await avatarQueue.add({ username, hash, priority });
 
         // Handle queue status
         if (queueStatus.status === 'queue_full_but_added') {
-            console.log(`Queue full for ${username}, returning old avatar but still queued for regeneration`);
+            log.info('Queue full, returning old avatar but still queued for regeneration', { username, queueLength: queueStatus.queueLength });
             
             // Return old avatar even if hash doesn't match
             let params;
@@ -265,10 +600,16 @@ const getAvatar = async (req, res) => {
             } else {
                 params = getParamsAvatar(username);
             }
+            if (directions) {
+                params = { ...params, Key: getDirectionsKey(directions, username) };
+            } else if (preset) {
+                params = { ...params, Key: getPresetKey(preset, username) };
+            }
+            params = { ...params, Key: getVariantKey(params.Key, variant) };
 
             const exists = await checkObjectExists(params);
             if (exists) {
-                const signedUrl = await s3.getSignedUrlPromise('getObject', params);
+                const signedUrl = await getSignedUrl(params);
                 return res.status(307).redirect(signedUrl);
             }
 
@@ -277,7 +618,8 @@ const getAvatar = async (req, res) => {
                 status: 'processing',
                 message: 'Avatar generation queued (queue is full, no old avatar available)',
                 position: queueStatus.position,
-                queueStatus: avatarQueue.getStatus(),
+                queueStatus: await avatarQueue.getStatus(),
+                events: `/avatar/events/${username}`,
                 retryAfter: 10 // Suggest longer retry time due to full queue
             });
         }
@@ -286,9 +628,21 @@ const getAvatar = async (req, res) => {
             // Wait for the processing to complete
             try {
                 const result = await queueStatus.promise;
+                if (directions) {
+                    if (await sendDirections(directions, user, hash, variant, req, res)) return;
+                    return res.status(500).send('Error generating avatar');
+                }
+                if (preset) {
+                    if (await sendPresetCrop(preset, user, hash, variant, req, res)) return;
+                    return res.status(500).send('Error generating avatar');
+                }
+                if (!isOriginal(variant)) {
+                    if (await sendVariant(type, username, hash, variant, req, res)) return;
+                    return res.status(500).send('Error generating avatar');
+                }
                 return sendAvatarResponse(type, username, result, res);
             } catch (error) {
-                console.error('Error waiting for avatar generation:', error);
+                log.error('Error waiting for avatar generation', { username, error });
                 return res.status(500).send('Error generating avatar');
             }
         }
@@ -298,12 +652,13 @@ const getAvatar = async (req, res) => {
             status: 'processing',
             message: 'Avatar generation queued',
             position: queueStatus.position,
-            queueStatus: avatarQueue.getStatus(),
+            queueStatus: await avatarQueue.getStatus(),
+            events: `/avatar/events/${username}`,
             retryAfter: 5 // Suggest retry after 5 seconds
         });
 
     } catch (error) {
-        console.error('Avatar generation error:', error);
+        log.error('Avatar generation error', { error });
         res.status(500).send('Error generating avatar');
     }
 };
@@ -314,346 +669,878 @@ const sendAvatarResponse = async (type, username, generatedAvatar, res) => {
 
     try {
         if (type === 'sprite') {
-            const signedUrl = await s3.getSignedUrlPromise('getObject', getParams(username));
+            const signedUrl = await getSignedUrl(getParams(username));
             return res.status(307).redirect(signedUrl);
         } else if (type === 'thumbnail') {
-            const signedUrl = await s3.getSignedUrlPromise('getObject', getParamsThumbnail(username));
+            const signedUrl = await getSignedUrl(getParamsThumbnail(username));
             return res.status(307).redirect(signedUrl);
         } else {
             if (generatedAvatar) {
                 return res.status(200).send(generatedAvatar);
             } else {
-                const signedUrl = await s3.getSignedUrlPromise('getObject', getParamsAvatar(username));
+                const signedUrl = await getSignedUrl(getParamsAvatar(username));
                 return res.status(307).redirect(signedUrl);
             }
         }
     } catch (error) {
-        console.error('Error sending avatar response:', error);
+        log.error('Error sending avatar response', { username, error });
         if (res && !res.headersSent) {
             res.status(500).send('Error retrieving avatar');
         }
     }
 };
 
-const createAvatarThumbnail = async (user, hash, type, res) => {
-    return new Promise(async (resolve, reject) => {
-        try {
-            // Determine base image based on user customization
-            let skinTone = user.customization.skinTone ?? 0
-            let base = user.customization.isMale ? `male_${skinTone}.png` : `female_${skinTone}.png`
-            
-            const baseDir = path.join(process.cwd(), '_bases', base)
-            base = await fs.readFile(baseDir)
-
-            // Load all customization images
-            const loadedImages = {
-                base: await loadImage(base),
-                makeup: await getImage(user.customization.makeup),
-                hair: await getImage(user.customization.hair),
-                beard: await getImage(user.customization.beard),
-                eyes: await getImage(user.customization.eyes),
-                eyebrows: await getImage(user.customization.eyebrows),
-                head: await getImage(user.customization.head),
-                nose: await getImage(user.customization.nose),
-                mouth: await getImage(user.customization.mouth),
-                hat: await getImage(user.customization.hat),
-                piercings: await getImage(user.customization.piercings),
-                earPiece: await getImage(user.customization.earPiece),
-                glasses: await getImage(user.customization.glasses),
-                horns: await getImage(user.customization.horns),
-                top: await getImage(user.customization.top),
-                necklace: await getImage(user.customization.necklace),
-                neckwear: await getImage(user.customization.neckwear),
-                coat: await getImage(user.customization.coat),
-                belt: await getImage(user.customization.belt),
-                bottom: await getImage(user.customization.bottom),
-                socks: await getImage(user.customization.socks),
-                shoes: await getImage(user.customization.shoes),
-                bracelets: await getImage(user.customization.bracelets),
-                wings: await getImage(user.customization.wings),
-                bag: await getImage(user.customization.bag),
-                gloves: await getImage(user.customization.gloves),
-                handheld: await getImage(user.customization.handheld),
-                // Load tattoos
-                tattoo_head: await getImage(user.customization.tattoos?.head),
-                tattoo_neck: await getImage(user.customization.tattoos?.neck),
-                tattoo_chest: await getImage(user.customization.tattoos?.chest),
-                tattoo_stomach: await getImage(user.customization.tattoos?.stomach),
-                tattoo_backUpper: await getImage(user.customization.tattoos?.backUpper),
-                tattoo_backLower: await getImage(user.customization.tattoos?.backLower),
-                tattoo_armRight: await getImage(user.customization.tattoos?.armRight),
-                tattoo_armLeft: await getImage(user.customization.tattoos?.armLeft),
-                tattoo_legRight: await getImage(user.customization.tattoos?.legRight),
-                tattoo_legLeft: await getImage(user.customization.tattoos?.legLeft)
-            }
-
-            // Check if shoes should be behind pants
-            let shoesBehindPants = false
-            if (user.customization.bottom) {
-                const pants = await Item.findById(user.customization.bottom, 'description').lean()
-                shoesBehindPants = pants.description.includes('!x')
-            }
+// Customization slots rendered as item layers (layer name matches the customization key)
+const ITEM_SLOTS = [
+    'makeup', 'hair', 'beard', 'eyes', 'eyebrows', 'head', 'nose', 'mouth',
+    'hat', 'piercings', 'earPiece', 'glasses', 'horns',
+    'top', 'necklace', 'neckwear', 'coat',
+    'belt', 'bottom', 'socks', 'shoes',
+    'bracelets', 'wings', 'bag', 'gloves', 'handheld'
+]
 
-            let hairInfrontTop = false
-            if (user.customization.hair) {
-                const hair = await Item.findById(user.customization.hair, 'description').lean()
-                hairInfrontTop = hair.description.includes('!s')
-            }
+// Tattoo slots, rendered as `tattoo_${slot}` layers
+const TATTOO_SLOTS = [
+    'head', 'neck', 'chest', 'stomach', 'backUpper',
+    'backLower', 'armRight', 'armLeft', 'legRight', 'legLeft'
+]
 
-            const spriteSheet = await generateFullSpriteSheet(loadedImages, shoesBehindPants, hairInfrontTop)
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i
 
-            // Generate front-facing avatar for thumbnail
-            const frontFacingAvatar = await cropImage(spriteSheet, 0, 0, 425, 850)
-            const frontFacingBuffer = await sharp(frontFacingAvatar).webp({ quality: 95 }).toBuffer()
+/**
+ * Maps every equipped slot of a customization to its item id
+ * @param {Object} customization - Same shape as User.customization
+ * @returns {Object} Item ids keyed by layer name, empty slots omitted
+ */
+const getSlotItemIds = (customization) => {
+    const slotItemIds = {}
+    for (const slot of ITEM_SLOTS) {
+        if (customization[slot]) slotItemIds[slot] = customization[slot].toString()
+    }
+    for (const slot of TATTOO_SLOTS) {
+        if (customization.tattoos?.[slot]) slotItemIds[`tattoo_${slot}`] = customization.tattoos[slot].toString()
+    }
+    return slotItemIds
+}
 
-            // Update cache
-            avatarCache.set(hash, frontFacingBuffer)
+/**
+ * Loads the rendering metadata of every equipped item in a single query
+ * @param {Object} slotItemIds - Item ids keyed by layer name
+ * @returns {Promise<Object>} Item documents keyed by layer name
+ */
+const getSlotItems = async (slotItemIds) => {
+    const ids = [...new Set(Object.values(slotItemIds))]
+    if (ids.length === 0) return {}
 
-            // Generate thumbnail from sprite sheet
-            const thumbnail = await cropImage(spriteSheet, 103, 42, 218, 218)
+    const items = await Item.find({ _id: { $in: ids } }, 'description layering occlusion isAnimated frameDuration hasFatSheet fatSpriteLocation spriteVersion dyeable dyeMaskLocation dyeRegions').lean()
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]))
 
-            // Upload generated images
-            user.clothing = await uploadContent(user.clothing, { data: spriteSheet }, 'user-clothing', 5, "DONT", undefined, user.username)
-            user.thumbnail = await uploadContent(user.thumbnail, { data: thumbnail }, 'user-thumbnail', 5, undefined, undefined, user.username)
-            user.avatar = await uploadContent(user.avatar, { data: frontFacingBuffer }, 'user-avatar', 5, "N", undefined, user.username)
+    const slotItems = {}
+    for (const [layerName, itemId] of Object.entries(slotItemIds)) {
+        slotItems[layerName] = itemsById.get(itemId) ?? null
+    }
+    return slotItems
+}
 
-            // Update user asynchronously
-            const newHash = xxHash32(JSON.stringify({ username: user.username, customization: user.customization }), 0).toString()
-            await User.updateOne(
-                { username: user.username },
-                {
-                    customizationHash: newHash,
-                    clothing: user.clothing,
-                    thumbnail: user.thumbnail,
-                    avatar: user.avatar
-                },
-                { timestamps: false }
-            ).catch(console.error)
+// spriteVersion per item id. Every avatar request hashes the customization, so versions are
+// cached, but briefly: other instances only see a new version once their entry expires
+const itemVersionCache = new LRUCache({
+    max: 5000,
+    ttl: 1000 * 30
+})
 
-            // Resolve with the front-facing buffer for immediate response
-            resolve(frontFacingBuffer);
+/**
+ * Looks up the spriteVersion of items, querying only those not cached
+ * @param {string[]} itemIds
+ * @returns {Promise<Map>} Version by item id, '' for unversioned or unknown items
+ */
+const getItemVersions = async (itemIds) => {
+    const versions = new Map()
+    const missing = []
+    for (const itemId of new Set(itemIds)) {
+        const cached = itemVersionCache.get(itemId)
+        if (cached !== undefined) versions.set(itemId, cached)
+        else missing.push(itemId)
+    }
 
-            // If response object was provided, send appropriate response
-            if (res) {
-                await sendAvatarResponse(type, user.username, frontFacingBuffer, res);
-            }
-        }
-        catch (error) {
-            console.error('Error generating avatar:', error)
-            reject(error)
+    if (missing.length > 0) {
+        const items = await Item.find({ _id: { $in: missing } }, 'spriteVersion').lean()
+        const found = new Map(items.map(item => [item._id.toString(), item.spriteVersion ?? '']))
+        for (const itemId of missing) {
+            const version = found.get(itemId) ?? ''
+            itemVersionCache.set(itemId, version)
+            versions.set(itemId, version)
         }
-    })
-}
+    }
 
-const memoryCache = new LRUCache({
-    max: 20,
-})
+    return versions
+}
 
-const CACHE_DIR = path.join(process.cwd(), 'cache');
-(async () => {
-    await fs.mkdir(CACHE_DIR, { recursive: true })
-})()
+/**
+ * Hashes a user's customization together with the sprite versions of the equipped items,
+ * so re-uploaded art makes the stored render stale
+ * @param {Object} user - Lean user with username and customization
+ * @param {Map} versions - As returned by getItemVersions
+ * @returns {string} The customizationHash
+ */
+const hashCustomization = (user, versions) => {
+    const items = {}
+    for (const [layerName, itemId] of Object.entries(getSlotItemIds(user.customization ?? {}))) {
+        const version = versions.get(itemId)
+        if (version) items[layerName] = version
+    }
 
-const getImage = async (item) => {
-    if (item == undefined || item == null || item == '')
-        return null
+    // Without versioned items the hash stays what it was before versioning
+    const payload = { username: user.username, customization: user.customization }
+    if (Object.keys(items).length > 0) payload.items = items
 
-    item = item.toString()
-    const cacheKey = item.toLowerCase()
+    return xxHash32(JSON.stringify(payload), 0).toString()
+}
 
-    // Check memory cache first
-    const memCached = memoryCache.get(cacheKey)
-    if (memCached) return memCached
+const getCustomizationHash = async (user) => {
+    const versions = await getItemVersions(Object.values(getSlotItemIds(user.customization ?? {})))
+    return hashCustomization(user, versions)
+}
 
-    try {
-        const diskCacheKey = crypto.createHash('md5').update(cacheKey).digest('hex')
-        const diskCachePath = path.join(CACHE_DIR, `${diskCacheKey}.png`)
-        
-        // Check disk cache
-        const diskCached = await fs.readFile(diskCachePath)
-            .then(async data => await loadImage(data))
-            .catch(() => null)
-            
-        if (diskCached) {
-            memoryCache.set(cacheKey, diskCached);
-            return diskCached
-        }
+// Body types as stored in User.customization.bodyType
+const BODY_TYPES = {
+    0: { name: 'normal' },
+    1: { name: 'curvy', useFatSheet: true },
+    2: { name: 'thin', femaleOnly: true }
+}
 
-        // Fetch and process image
-        let data = await axios.get(
-            `https://${process.env.DO_SPACE_ENDPOINT}item-sprite/${item}.webp`,
-            { responseType: 'arraybuffer' }
-        )
-        
-        const pngBuffer = await sharp(data.data).png().toBuffer()
-        const image = await loadImage(pngBuffer)
+const getBodyType = (customization) => {
+    const bodyType = BODY_TYPES[customization.bodyType] ?? BODY_TYPES[0]
+    if (bodyType.femaleOnly && customization.isMale) {
+        return BODY_TYPES[0]
+    }
+    return bodyType
+}
 
-        // Store in both caches
-        memoryCache.set(cacheKey, image)
-        await fs.writeFile(diskCachePath, pngBuffer)
+// Storage key of the item sheet matching the body type, null when the default sheet applies
+const getBodyTypeSpriteLocation = (item, bodyType) => {
+    if (bodyType.useFatSheet && item?.hasFatSheet && item.fatSpriteLocation) {
+        return item.fatSpriteLocation.replace(/^\//, '')
+    }
+    return null
+}
+
+// Point of a direction cell the character is scaled around: horizontal centre, at the feet
+const FEET_ANCHOR = { x: 212.5, y: 770 }
+const MIN_BODY_SCALE = 0.5
+const MAX_BODY_SCALE = 1.5
+// Highest opaque row of the bare bases, taller characters would lose the top of the head
+const HEAD_TOP = 76
+const MAX_BODY_HEIGHT = FEET_ANCHOR.y / (FEET_ANCHOR.y - HEAD_TOP)
+
+const clampBodyScale = (value, max = MAX_BODY_SCALE) => {
+    return Math.min(Math.max(Number(value) || 1, MIN_BODY_SCALE), max)
+}
+
+// Horizontal and vertical scale factors from customization width and height
+const getBodyScale = (customization) => {
+    return { x: clampBodyScale(customization.width), y: clampBodyScale(customization.height, MAX_BODY_HEIGHT) }
+}
+
+// Maps a point of an unscaled cell to where it ends up once the character is scaled
+const scalePoint = (x, y, scale) => {
+    return {
+        x: FEET_ANCHOR.x + (x - FEET_ANCHOR.x) * scale.x,
+        y: FEET_ANCHOR.y + (y - FEET_ANCHOR.y) * scale.y
+    }
+}
+
+// Moves a crop of the unscaled cell along with the scaled character
+const moveRect = (rect, scale) => {
+    const center = scalePoint(rect.x + rect.width / 2, rect.y + rect.height / 2, scale)
+    return { x: center.x - rect.width / 2, y: center.y - rect.height / 2, width: rect.width, height: rect.height }
+}
+
+// Scales a region with the character, so it still covers the same body part
+const scaleRegion = (region, scale) => {
+    const start = scalePoint(region.x, region.y, scale)
+    const end = scalePoint(region.x + region.width, region.y + region.height, scale)
+    return { x: start.x, y: start.y, width: end.x - start.x, height: end.y - start.y }
+}
+
+/**
+ * Resolves the crop of a preset for a customization
+ * @param {Object} preset - Crop preset, see cropPresets.js
+ * @param {Object} customization - Same shape as User.customization
+ * @param {Object} [pixels] - RGBA { data, width, height } of the front-facing cell, used by autoFit
+ * @returns {Object} { x, y, width, height } inside the cell
+ */
+const getPresetCrop = (preset, customization, pixels) => {
+    const scale = getBodyScale(customization)
+    const gender = customization.isMale ? 'male' : 'female'
+    const rect = moveRect(getPresetRect(preset, gender, getBodyType(customization).name), scale)
+    const aspect = preset.size.width / preset.size.height
+
+    if (preset.autoFit && pixels) {
+        return fitToContent(pixels, scaleRegion(preset.autoFit.region, scale), rect, { padding: preset.autoFit.padding, aspect })
+    }
+    return fitRect(rect, aspect)
+}
+
+// RGBA pixels of part of an image
+const getImagePixels = (image, x, y, width, height) => {
+    const canvas = createCanvas(width, height)
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(image, x, y, width, height, 0, 0, width, height)
+    return ctx.getImageData(0, 0, width, height)
+}
+
+/**
+ * Renders the sprite sheet, front-facing avatar and thumbnail for a customization.
+ * Nothing is uploaded or saved, callers decide what to do with the buffers.
+ * @param {Object} customization - Same shape as User.customization
+ * @returns {Promise<Object>} { spriteSheet, frontFacingBuffer, thumbnail }
+ */
+const renderAvatar = async (customization) => {
+    const endLoad = renderStageDuration.startTimer({ stage: 'load' })
+    const bodyType = getBodyType(customization)
+    const slotItemIds = getSlotItemIds(customization)
+    const slotItems = await getSlotItems(slotItemIds)
+
+    // Load all customization images, using the body type's sheet when an item has one
+    // and recolouring the dyeable regions the player picked colours for
+    const loadedImages = { base: await loadBase(customization, bodyType) }
+    const undyedImages = {}
+    for (const [layerName, itemId] of Object.entries(slotItemIds)) {
+        const location = getBodyTypeSpriteLocation(slotItems[layerName], bodyType)
+        const dye = getDye(slotItems[layerName], customization.dyes?.[layerName])
+        const version = slotItems[layerName]?.spriteVersion
+        const loadSprite = async (spriteDye) => (location && await getImage(itemId, location, spriteDye, version)) || await getImage(itemId, undefined, spriteDye, version)
+        loadedImages[layerName] = await loadSprite(dye)
+
+        // A dye can recolour the green key, occlusion masks are read from the undyed sprite
+        if (dye && slotItems[layerName]?.occlusion?.enabled) undyedImages[layerName] = await loadSprite(null)
+    }
+
+    // Resolve per-direction layer ordering and occlusion masks from the equipped items
+    const layering = getLayering(slotItems)
+    const occlusion = await prepareOcclusion(loadedImages, slotItems, undyedImages)
+    endLoad()
+
+    // Animated items cycle through their frames, static layers are held on every frame
+    const animation = getAnimation(loadedImages, slotItems)
+
+    // Height and width are applied around the feet
+    const scale = getBodyScale(customization)
+
+    const endCompose = renderStageDuration.startTimer({ stage: 'compose' })
+    const spriteSheet = await generateFullSpriteSheet(loadedImages, { layering, occlusion, animation, scale })
+    const sheet = await loadImage(spriteSheet)
+
+    // Generate front-facing avatar and thumbnail from the sprite sheet, one crop per frame.
+    // The thumbnail is the headshot preset, fitted on the first frame.
+    const headshot = getCropPreset('headshot')
+    const thumbnailCrop = getPresetCrop(headshot, customization, getImagePixels(sheet, 0, 0, 425, 850))
+    const frontFacingFrames = []
+    const thumbnailFrames = []
+    for (let frame = 0; frame < animation.frames; frame++) {
+        frontFacingFrames.push(await cropImage(sheet, 0, frame * 850, 425, 850))
+        thumbnailFrames.push(await cropImage(sheet, thumbnailCrop.x, thumbnailCrop.y + frame * 850, thumbnailCrop.width, thumbnailCrop.height, headshot.size))
+    }
+    endCompose()
+
+    const endEncode = renderStageDuration.startTimer({ stage: 'encode' })
+    const frontFacingBuffer = await encodeFrames(frontFacingFrames, 425, 850, animation, 95)
+    const thumbnail = await encodeFrames(thumbnailFrames, headshot.size.width, headshot.size.height, animation, 75)
+    endEncode()
+
+    return { spriteSheet, frontFacingBuffer, thumbnail, animation }
+}
+
+/**
+ * Cuts a crop preset out of a rendered front-facing avatar, every frame of it
+ * @param {Buffer} avatar - Front-facing WebP (425x850), possibly animated
+ * @param {Object} preset - Crop preset, see cropPresets.js
+ * @param {Object} customization - Customization it was rendered from
+ * @returns {Promise<Buffer>} WebP at the preset size
+ */
+const renderPresetCrop = async (avatar, preset, customization) => {
+    const metadata = await sharp(avatar).metadata()
+    const frames = metadata.pages ?? 1
+
+    // Fitted on the first frame, like the thumbnail
+    const { data, info } = await sharp(avatar, { page: 0 }).ensureAlpha().raw().toBuffer({ resolveWithObject: true })
+    const crop = getPresetCrop(preset, customization, { data, width: info.width, height: info.height })
+
+    const croppedFrames = []
+    for (let page = 0; page < frames; page++) {
+        croppedFrames.push(await sharp(avatar, { page })
+            .extract({ left: crop.x, top: crop.y, width: crop.width, height: crop.height })
+            .resize(preset.size.width, preset.size.height, { fit: 'fill' })
+            .png()
+            .toBuffer())
+    }
+
+    return await encodeFrames(croppedFrames, preset.size.width, preset.size.height, { frameDuration: metadata.delay?.[0] ?? 100 }, 90)
+}
+
+const DIRECTION_COUNT = 6
+
+// Parses a comma separated list of facings (0 is the front), null if any is invalid or repeated
+const parseDirections = (value) => {
+    const parts = String(value).split(',')
+    if (parts.length > DIRECTION_COUNT || !parts.every(part => /^[0-5]$/.test(part))) return null
+
+    const directions = parts.map(Number)
+    return new Set(directions).size === directions.length ? directions : null
+}
+
+/**
+ * Cuts facings out of a sprite sheet, side by side in the order asked for
+ * @param {Buffer} spriteSheet - Six 425x850 facings per row, one row per animation frame
+ * @param {number[]} directions - Facings to keep, see parseDirections
+ * @param {number} frameDuration - Delay between frames in ms
+ * @returns {Promise<Buffer>} WebP 425 wide per facing, animated when the sheet is
+ */
+const renderDirections = async (spriteSheet, directions, frameDuration) => {
+    const sheet = await loadImage(await sharp(spriteSheet).png().toBuffer())
+    const frames = Math.max(1, Math.floor(sheet.height / 850))
+    const width = 425 * directions.length
+
+    const directionFrames = []
+    for (let frame = 0; frame < frames; frame++) {
+        const canvas = createCanvas(width, 850)
+        const ctx = canvas.getContext('2d')
+        directions.forEach((direction, index) => {
+            ctx.drawImage(sheet, direction * 425, frame * 850, 425, 850, index * 425, 0, 425, 850)
+        })
+        directionFrames.push(canvas.toBuffer())
+    }
+
+    return await encodeFrames(directionFrames, width, 850, { frameDuration }, 95)
+}
+
+// Encodes a single frame as a still WebP and several as an animated one
+const encodeFrames = async (frames, width, height, animation, quality) => {
+    if (frames.length === 1) {
+        return await sharp(frames[0]).webp({ quality }).toBuffer()
+    }
+
+    return await encodeAnimatedWebp(frames, { width, height, delay: animation.frameDuration, quality })
+}
+
+const createAvatarThumbnail = async (user, hash, type, res) => {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const endRender = renderDuration.startTimer()
+            const { spriteSheet, frontFacingBuffer, thumbnail, animation } = await renderAvatar(user.customization)
+
+            // Update cache
+            avatarCache.set(hash, frontFacingBuffer)
+
+            // Upload generated images
+            const endUpload = renderStageDuration.startTimer({ stage: 'upload' })
+            user.clothing = await uploadContent(user.clothing, { data: spriteSheet }, 'user-clothing', 5, "DONT", undefined, user.username)
+            user.thumbnail = await uploadContent(user.thumbnail, { data: thumbnail }, 'user-thumbnail', 5, "N", undefined, user.username)
+            user.avatar = await uploadContent(user.avatar, { data: frontFacingBuffer }, 'user-avatar', 5, "N", undefined, user.username)
+            await storeEagerVariants(user.username, { sprite: spriteSheet, thumbnail, avatar: frontFacingBuffer })
+            endUpload()
+            endRender()
+
+            // Update user asynchronously
+            const newHash = await getCustomizationHash(user)
+            await User.updateOne(
+                { username: user.username },
+                {
+                    customizationHash: newHash,
+                    clothing: user.clothing,
+                    clothingFrames: animation.frames,
+                    clothingFrameDuration: animation.frameDuration,
+                    thumbnail: user.thumbnail,
+                    avatar: user.avatar
+                },
+                { timestamps: false }
+            ).catch(error => log.error('Failed to save render result', { username: user.username, error }))
+
+            // Resolve with the front-facing buffer for immediate response
+            resolve(frontFacingBuffer);
+
+            // If response object was provided, send appropriate response
+            if (res) {
+                await sendAvatarResponse(type, user.username, frontFacingBuffer, res);
+            }
+        }
+        catch (error) {
+            log.error('Error generating avatar', { username: user.username, error })
+            reject(error)
+        }
+    })
+}
+
+// Renders queued jobs from the current customization, the job only identifies the user
+avatarQueue.start(async (job) => {
+    const user = await User.findOne({ username: job.username }, 'username customization customizationHash clothing thumbnail avatar', { lean: true })
+    if (!user) {
+        const error = new Error(`User ${job.username} not found`)
+        error.permanent = true // Retrying won't help
+        throw error
+    }
+
+    const hash = await getCustomizationHash(user)
+    return await createAvatarThumbnail(user, hash, null, null)
+})
+
+const customizationWatcher = new CustomizationWatcher({
+    mode: process.env.CUSTOMIZATION_WATCH || 'auto',
+    debounce: parseInt(process.env.CUSTOMIZATION_DEBOUNCE_MS) || 5000,
+    pollInterval: parseInt(process.env.CUSTOMIZATION_POLL_INTERVAL_MS) || 15000,
+    // One item version lookup for the whole poll, like getAvatarsBatch
+    findStale: async (users) => {
+        const versions = await getItemVersions(users.flatMap(user => Object.values(getSlotItemIds(user.customization ?? {}))))
+        return users.filter(user => user.customizationHash !== hashCustomization(user, versions))
+    }
+})
+
+// Re-render in the background as soon as a player settles on an outfit, so the first viewer gets it ready
+customizationWatcher.on('change', async (userId) => {
+    try {
+        const user = await User.findById(userId, 'username customization customizationHash', { lean: true })
+        if (!user) return
+
+        const hash = await getCustomizationHash(user)
+        if (user.customizationHash === hash) return
+
+        await avatarQueue.add({ username: user.username, hash, priority: AvatarQueue.PRIORITY.batch })
+    } catch (error) {
+        log.error('Error queueing render for customization change', { userId: userId.toString(), error })
+    }
+})
+
+customizationWatcher.on('mode', (mode) => {
+    log.info('Watching customization changes', { mode })
+})
+
+/**
+ * Starts re-rendering avatars when customizations change, unless CUSTOMIZATION_WATCH=off.
+ * Called once the database is connected.
+ */
+const watchCustomizations = () => {
+    if (process.env.CUSTOMIZATION_WATCH === 'off') return
+    customizationWatcher.start()
+}
+
+/**
+ * Builds a clean customization object from untrusted input, keeping only known fields.
+ * Item references must be ObjectId strings since they end up in sprite URLs.
+ * @param {Object|string} input - Customization in the same shape as User.customization
+ * @returns {Object|null} The sanitized customization, or null if the input is invalid
+ */
+const sanitizeCustomization = (input) => {
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input)
+        } catch (error) {
+            return null
+        }
+    }
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return null
+    }
+
+    const isItemRef = (value) => value == undefined || value === '' || OBJECT_ID_PATTERN.test(value.toString())
+    const isNumber = (value) => value == undefined || Number.isFinite(Number(value))
+
+    if (!isNumber(input.skinTone) || !isNumber(input.bodyType) || !isNumber(input.height) || !isNumber(input.width)) {
+        return null
+    }
+
+    const customization = {
+        isMale: input.isMale === true || input.isMale === 'true',
+        bodyType: Number(input.bodyType ?? 0),
+        skinTone: Number(input.skinTone ?? 0),
+        height: Number(input.height ?? 1),
+        width: Number(input.width ?? 1),
+        tattoos: {}
+    }
+
+    if (!Number.isInteger(customization.skinTone) || customization.skinTone < 0) {
+        return null
+    }
+
+    if (input.skinColor) {
+        customization.skinColor = normalizeHexColor(input.skinColor)
+        if (!customization.skinColor) return null
+    }
+
+    for (const slot of ITEM_SLOTS) {
+        if (!isItemRef(input[slot])) return null
+        if (input[slot]) customization[slot] = input[slot].toString()
+    }
+
+    for (const slot of TATTOO_SLOTS) {
+        const value = input.tattoos?.[slot]
+        if (!isItemRef(value)) return null
+        if (value) customization.tattoos[slot] = value.toString()
+    }
+
+    // Dyes are keyed by layer name, e.g. { top: { primary: '#ff0000' }, tattoo_head: {...} }
+    if (input.dyes) {
+        if (typeof input.dyes !== 'object' || Array.isArray(input.dyes)) return null
+
+        const layerNames = [...ITEM_SLOTS, ...TATTOO_SLOTS.map(slot => `tattoo_${slot}`)]
+        customization.dyes = {}
+        for (const [layerName, dye] of Object.entries(input.dyes)) {
+            if (!layerNames.includes(layerName) || !dye || typeof dye !== 'object') return null
+
+            const primary = dye.primary ? normalizeHexColor(dye.primary) : null
+            const secondary = dye.secondary ? normalizeHexColor(dye.secondary) : null
+            if ((dye.primary && !primary) || (dye.secondary && !secondary)) return null
+
+            customization.dyes[layerName] = { primary: primary ?? '', secondary: secondary ?? '' }
+        }
+    }
+
+    return customization
+}
+
+const PREVIEW_TYPES = ['avatar', 'sprite', 'thumbnail', 'direction']
+
+/**
+ * Renders an arbitrary customization without touching the user or Spaces,
+ * so the shop can show an outfit before it is purchased.
+ * Body: { type: 'avatar' | 'sprite' | 'thumbnail' | 'direction', customization: {...} }
+ * direction also takes directions, e.g. [0, 3] or "0,3", the front by default
+ */
+const getPreview = async (req, res) => {
+    try {
+        const type = req.body.type ?? 'avatar'
+        if (!PREVIEW_TYPES.includes(type)) {
+            return res.status(400).send('Invalid preview type.')
+        }
+
+        const directions = type === 'direction' ? parseDirections([req.body.directions ?? 0].flat().join(',')) : null
+        if (type === 'direction' && !directions) {
+            return res.status(400).send('Invalid directions.')
+        }
+
+        const customization = sanitizeCustomization(req.body.customization)
+        if (!customization) {
+            return res.status(400).send('Invalid customization.')
+        }
+
+        const { spriteSheet, frontFacingBuffer, thumbnail, animation } = await renderAvatar(customization)
 
+        // Match the encoding used for stored renders
+        let output
+        if (type === 'direction') {
+            output = await renderDirections(spriteSheet, directions, animation.frameDuration)
+        } else if (type === 'sprite') {
+            output = await sharp(spriteSheet).webp({ quality: 100 }).toBuffer()
+        } else if (type === 'thumbnail') {
+            output = thumbnail
+        } else {
+            output = frontFacingBuffer
+        }
+
+        res.set('Cache-Control', 'no-store')
+        res.type('image/webp')
+        return res.status(200).send(output)
+    } catch (error) {
+        log.error('Avatar preview error', { error })
+        res.status(500).send('Error generating preview')
+    }
+}
+
+// Decoded item sprites, bounded by their pixel memory since an animated sheet
+// can take well over 100 MB (IMAGE_CACHE_MAX_MB, 512 by default)
+const memoryCache = new LRUCache({
+    maxSize: (parseInt(process.env.IMAGE_CACHE_MAX_MB) || 512) * 1024 * 1024,
+    sizeCalculation: (image) => Math.max(image.width * image.height * 4, 1)
+})
+
+const CACHE_DIR = path.join(process.cwd(), 'cache');
+(async () => {
+    await fs.mkdir(CACHE_DIR, { recursive: true })
+})()
+
+/**
+ * Looks an image up in the memory and disk caches, producing and storing it on a miss
+ * @param {string} group - Item id the image belongs to, entries can be invalidated per group
+ * @param {string} cacheKey - Key shared by both caches
+ * @param {Function} produce - Resolves to the PNG buffer of the image
+ * @param {Object} [options]
+ * @param {boolean} [options.disk=true] - Whether the image is also kept on disk, cache/ is never pruned
+ * @returns {Promise<Image>} The loaded image
+ */
+const getCachedImage = async (group, cacheKey, produce, { disk = true } = {}) => {
+    group = group.toLowerCase()
+    cacheKey = `${group}|${cacheKey.toLowerCase()}`
+
+    // Check memory cache first
+    const memCached = recordCacheLookup('memory', memoryCache.get(cacheKey))
+    if (memCached) return memCached
+
+    if (!disk) {
+        const image = await loadImage(await produce())
+        memoryCache.set(cacheKey, image)
         return image
+    }
+
+    const diskCacheKey = crypto.createHash('md5').update(cacheKey).digest('hex')
+    const diskCachePath = path.join(CACHE_DIR, `${group}-${diskCacheKey}.png`)
+    
+    // Check disk cache
+    const diskCached = recordCacheLookup('disk', await fs.readFile(diskCachePath)
+        .then(async data => await loadImage(data))
+        .catch(() => null))
+        
+    if (diskCached) {
+        memoryCache.set(cacheKey, diskCached);
+        return diskCached
+    }
+
+    const pngBuffer = await produce()
+    const image = await loadImage(pngBuffer)
+
+    // Store in both caches
+    memoryCache.set(cacheKey, image)
+    await fs.writeFile(diskCachePath, pngBuffer)
+
+    return image
+}
+
+/**
+ * Loads an item sprite through the memory and disk caches
+ * @param {string} item - Item id
+ * @param {string} [location] - Storage key of an alternate sheet, defaults to item-sprite/{item}.webp
+ * @param {Object} [dye] - Dye to apply, as returned by getDye
+ * @param {string} [version] - Item spriteVersion, new art gets new cache entries
+ * @returns {Promise<Image|null>} The loaded sprite, or null if it could not be fetched
+ */
+const getImage = async (item, location, dye, version) => {
+    if (item == undefined || item == null || item == '')
+        return null
+
+    item = item.toString()
+    // Alternate sheets are cached under their own location
+    const cacheKey = version ? `${location ?? item}@${version}` : location ?? item
+
+    if (dye) {
+        // Dyed variants are cached per colour on top of the undyed sprite. Any colour can be
+        // requested, so they only live in the bounded memory cache and never reach the disk
+        try {
+            return await getCachedImage(item, `${cacheKey}|dye:${dye.primary ?? ''}:${dye.secondary ?? ''}`, async () => {
+                const image = await getImage(item, location, undefined, version)
+                const mask = dye.maskLocation ? await getImage(item, dye.maskLocation, undefined, version) : null
+                return await dyeImage(image, dye, mask)
+            }, { disk: false })
+        }
+        catch (error) {
+            log.warn('Failed to dye image', { item, location, error: error.message })
+            imageFetchFailures.inc({ kind: 'dye' })
+            return await getImage(item, location, undefined, version)
+        }
+    }
+
+    try {
+        return await getCachedImage(item, cacheKey, async () => {
+            // Fetch and process image
+            const key = location ?? `item-sprite/${item}.webp`
+            const object = await storage.get(key)
+            if (!object) throw new Error(`${key} not found in storage`)
+
+            return await sharp(object.body).png().toBuffer()
+        })
     } 
     catch (error) {
-        console.error(`Failed to load image for ${item}:`, error.message)
+        log.warn('Failed to load image', { item, location, error: error.message })
+        imageFetchFailures.inc({ kind: 'sprite' })
         return null
     }
 }
 
-const generateDirectionalAvatar = async (direction, layers, shoesBehindPants, hairInfrontTop) => {
+/**
+ * Resolves the dye of an equipped item from the slot's customization.dyes entry
+ * @param {Object} item - Item document
+ * @param {Object} slotDye - { primary, secondary } hex colours
+ * @returns {Object|null} { primary, secondary, regions, maskLocation }, or null if nothing is dyed
+ */
+const getDye = (item, slotDye) => {
+    if (!item?.dyeable || !slotDye) return null
+
+    const primary = normalizeHexColor(slotDye.primary)
+    const secondary = normalizeHexColor(slotDye.secondary)
+    if (!primary && !secondary) return null
+
+    return {
+        primary,
+        secondary,
+        regions: item.dyeRegions,
+        maskLocation: item.dyeMaskLocation?.replace(/^\//, '')
+    }
+}
+
+// Erases the opaque pixels of a mask from an image, in place on a canvas
+const eraseMask = (ctx, mask, sourceX, sourceY, width, height) => {
+    ctx.globalCompositeOperation = 'destination-out'
+    ctx.drawImage(mask, sourceX, sourceY, width, height, 0, 0, width, height)
+    ctx.globalCompositeOperation = 'source-over'
+}
+
+/**
+ * Splits the green-key occlusion mask out of every equipped item that opted in.
+ * Each mask is built once for the whole sheet and the layer is replaced by the
+ * sprite with the key colour erased.
+ * @param {Object} loadedImages - Loaded layers keyed by layer name, updated in place
+ * @param {Object} slotItems - Item documents keyed by layer name
+ * @param {Object} [undyedImages] - Undyed sprites of dyed layers, keyed by layer name
+ * @returns {Promise<Object>} { mask, slots } keyed by the occluding layer name
+ */
+const prepareOcclusion = async (loadedImages, slotItems, undyedImages = {}) => {
+    const occlusion = {}
+
+    for (const [layerName, item] of Object.entries(slotItems)) {
+        const image = loadedImages[layerName]
+        if (!item?.occlusion?.enabled || !image) continue
+
+        const mask = await createKeyMask(undyedImages[layerName] ?? image)
+        occlusion[layerName] = {
+            mask,
+            slots: item.occlusion.slots?.length ? item.occlusion.slots : null
+        }
+
+        const stripped = createCanvas(image.width, image.height)
+        const strippedCtx = stripped.getContext('2d')
+        strippedCtx.drawImage(image, 0, 0)
+        eraseMask(strippedCtx, mask, 0, 0, image.width, image.height)
+        loadedImages[layerName] = stripped
+    }
+
+    return occlusion
+}
+
+// WebP images are capped at 16383px, which fits 19 rows of 850px
+const MAX_ANIMATION_FRAMES = 16
+
+// A render made of static items only
+const STATIC_ANIMATION = { frames: 1, frameDuration: 0, layers: {} }
+
+/**
+ * Works out the animation of an avatar. Animated items stack their frames
+ * vertically, one 850px row of the usual 2550px strip per frame.
+ * The avatar runs as long as its longest item, shorter ones loop, and it
+ * plays at the fastest frame duration among them.
+ * @param {Object} loadedImages - Loaded layers keyed by layer name
+ * @param {Object} slotItems - Item documents keyed by layer name
+ * @returns {Object} { frames, frameDuration, layers } with the frame count of every animated layer
+ */
+const getAnimation = (loadedImages, slotItems) => {
+    const animation = { frames: 1, frameDuration: 0, layers: {} }
+
+    for (const [layerName, item] of Object.entries(slotItems)) {
+        const image = loadedImages[layerName]
+        if (!item?.isAnimated || !image) continue
+
+        const frames = Math.min(Math.floor(image.height / 850), MAX_ANIMATION_FRAMES)
+        if (frames < 2) continue
+
+        const frameDuration = item.frameDuration || 100
+        animation.layers[layerName] = frames
+        animation.frames = Math.max(animation.frames, frames)
+        animation.frameDuration = animation.frameDuration ? Math.min(animation.frameDuration, frameDuration) : frameDuration
+    }
+
+    return animation
+}
+
+// Copies one 425x850 direction out of a sprite strip
+const getDirectionCell = (image, sourceX, sourceY = 0) => {
+    const canvas = createCanvas(425, 850)
+    canvas.getContext('2d').drawImage(image, sourceX, sourceY, 425, 850, 0, 0, 425, 850)
+    return canvas
+}
+
+/**
+ * Composes one 425x850 direction of one animation frame
+ * @param {number} direction - Facing index (0-5)
+ * @param {Object} layers - Loaded layers keyed by layer name
+ * @param {Object} options - { layering, occlusion, animation, frame, scale }
+ * @returns {Promise<Buffer>} PNG of the direction cell
+ */
+const generateDirectionalAvatar = async (direction, layers, { layering, occlusion = {}, animation = STATIC_ANIMATION, frame = 0, scale = null } = {}) => {
     // Canvas size for single direction (425x850)
     const canvas = createCanvas(425, 850)
     const ctx = canvas.getContext('2d')
     
     // Calculate x offset based on direction (0-5)
     const sourceX = direction * 425
-    
-    // Different layer orders based on direction
-    const getFacingOrder = (direction) => {
-        // Forward-facing (0)
-        if (direction === 0) {
-            return [
-                "base",
-                "tattoo_head", "tattoo_neck", "tattoo_chest", "tattoo_stomach",
-                "tattoo_backUpper", "tattoo_backLower", "tattoo_armRight",
-                "tattoo_armLeft", "tattoo_legRight", "tattoo_legLeft",
-                "makeup", "eyes", "eyebrows", "head", "nose", "mouth", "beard",
-                "wings", "glasses",
-                "hair_behind",
-                "socks",
-                "shoes_before",
-                "gloves", "bottom", "belt",
-                "shoes_after",
-                "bracelets", "handheld",
-                "top",
-                "necklace", "coat", "neckwear", "hair_infront", "piercings", "earPiece", "hat", "horns",
-                "bag"
-            ]
-        }
-        else if ([1, 4].includes(direction)) {
-            return [
-                "base",
-                "tattoo_head", "tattoo_neck", "tattoo_chest", "tattoo_stomach",
-                "tattoo_backUpper", "tattoo_backLower", "tattoo_armRight",
-                "tattoo_armLeft", "tattoo_legRight", "tattoo_legLeft",
-                "makeup", "eyes", "eyebrows", "head", "nose", "mouth", "beard",
-                "glasses",
-                "hair_behind",
-                "socks",
-                "shoes_before",
-                "gloves", "bottom", "belt",
-                "shoes_after",
-                "bracelets", "handheld",
-                "top",
-                "necklace", "coat", "neckwear", "hair_infront", "piercings", "earPiece", "hat", "horns",
-                "wings", "bag"
-            ]
-        }
-        else if ([2, 5].includes(direction)) {
-            return [
-                "base",
-                "tattoo_head", "tattoo_neck", "tattoo_chest", "tattoo_stomach",
-                "tattoo_backUpper", "tattoo_backLower", "tattoo_armRight",
-                "tattoo_armLeft", "tattoo_legRight", "tattoo_legLeft",
-                "makeup", "eyes", "eyebrows", "head", "nose", "mouth", "beard",
-                "wings", "glasses",
-                "socks",
-                "shoes_before",
-                "gloves", "bottom", "belt",
-                "shoes_after",
-                "bracelets", "handheld",
-                "top", "necklace",
-                "coat", "hair_behind", "piercings", "earPiece", "neckwear", "hair_infront", "hat", "horns",
-                "bag"
-            ]
-        }
-        // Back view (3)
-        else {
-            return [
-                "base",
-                "tattoo_head", "tattoo_neck", "tattoo_chest", "tattoo_stomach",
-                "tattoo_backUpper", "tattoo_backLower", "tattoo_armRight",
-                "tattoo_armLeft", "tattoo_legRight", "tattoo_legLeft",
-                "makeup", "eyes", "eyebrows", "head", "nose", "mouth", "beard",
-                "socks",
-                "shoes_before",
-                "gloves", "bottom", "belt",
-                "shoes_after",
-                "bracelets", "handheld",
-                "piercings", "earPiece", "glasses",
-                "horns",
-                "top", "necklace", "coat", "hair_infront",
-                "hair_behind", "hat", "neckwear",
-                "wings", "bag"
-            ]
-        }
-    }
+
+    // Row of the current frame, static layers only have one
+    const getSourceY = (layerName) => (frame % (animation.layers[layerName] ?? 1)) * 850
 
     // Draw layers in the correct order for this direction
-    const layerOrder = getFacingOrder(direction)
-    for (const layerName of layerOrder) {
-        let layer = null
-        if (layerName == 'shoes_before' && !shoesBehindPants)
-            layer = layers["shoes"]
-        else if (layerName == 'shoes_after' && shoesBehindPants)
-            layer = layers["shoes"]
-        else if (layerName == 'hair_behind' && !hairInfrontTop)
-            layer = layers["hair"]
-        else if (layerName == 'hair_infront' && hairInfrontTop)
-            layer = layers["hair"]
-        else
-            layer = layers[layerName]
+    const layerOrder = resolveLayerOrder(direction, layering)
+    for (const [index, layerName] of layerOrder.entries()) {
+        const layer = layers[layerName]
         if (!layer) continue
 
-        if (layerName === 'hair_behind' && !hairInfrontTop) {
-            ctx.drawImage(layer, sourceX, 0, 425, 850, 0, 0, 425, 850)
-        }
-        else if (layerName === 'hair_infront' && hairInfrontTop) {
-            ctx.drawImage(layer, sourceX, 0, 425, 850, 0, 0, 425, 850)
-        }
-        // Special handling for shoes behind pants
-        else if (layerName === 'shoes_before' && !shoesBehindPants) {
-            ctx.drawImage(layer, sourceX, 0, 425, 850, 0, 0, 425, 850)
-        }
-        else if (layerName === 'shoes_after' && shoesBehindPants) {
-            ctx.drawImage(layer, sourceX, 0, 425, 850, 0, 0, 425, 850)
+        // Masks of the occluding items drawn above this layer in this direction
+        const masks = layerOrder.slice(index + 1)
+            .filter(name => occlusion[name] && (occlusion[name].slots ? occlusion[name].slots.includes(layerName) : layerName !== 'base'))
+            .map(name => ({ name, mask: occlusion[name].mask }))
+
+        if (masks.length === 0) {
+            ctx.drawImage(layer, sourceX, getSourceY(layerName), 425, 850, 0, 0, 425, 850)
+            continue
         }
-        // Normal layer drawing
-        else {
-            ctx.drawImage(layer, sourceX, 0, 425, 850, 0, 0, 425, 850)
+
+        const cell = getDirectionCell(layer, sourceX, getSourceY(layerName))
+        const cellCtx = cell.getContext('2d')
+        for (const { name, mask } of masks) {
+            eraseMask(cellCtx, mask, sourceX, getSourceY(name), 425, 850)
         }
+        ctx.drawImage(cell, 0, 0)
     }
 
-    return canvas.toBuffer()
+    if (!scale || (scale.x === 1 && scale.y === 1)) {
+        return canvas.toBuffer()
+    }
+
+    // Scale the composed character around its feet, clipped to the cell
+    const scaledCanvas = createCanvas(425, 850)
+    const origin = scalePoint(0, 0, scale)
+    scaledCanvas.getContext('2d').drawImage(canvas, origin.x, origin.y, 425 * scale.x, 850 * scale.y)
+
+    return scaledCanvas.toBuffer()
 }
 
-const generateFullSpriteSheet = async (allLayers, shoesBehindPants, hairInfrontTop) => {
-    // Final sprite sheet canvas
-    const canvas = createCanvas(2550, 850)
+const generateFullSpriteSheet = async (allLayers, options = {}) => {
+    const animation = options.animation ?? STATIC_ANIMATION
+    // Final sprite sheet canvas, one row per animation frame
+    const canvas = createCanvas(2550, 850 * animation.frames)
     const ctx = canvas.getContext('2d')
 
-    // Generate each direction
-    for (let direction = 0; direction < 6; direction++) {
-        const directionCanvas = await generateDirectionalAvatar(direction, allLayers, shoesBehindPants, hairInfrontTop)
-        ctx.drawImage(
-            await loadImage(directionCanvas),
-            direction * 425, 0  // Place each direction in its correct position
-        )
+    // Generate each direction of each frame
+    for (let frame = 0; frame < animation.frames; frame++) {
+        for (let direction = 0; direction < 6; direction++) {
+            const directionCanvas = await generateDirectionalAvatar(direction, allLayers, { ...options, frame })
+            ctx.drawImage(
+                await loadImage(directionCanvas),
+                direction * 425, frame * 850  // Place each direction in its correct position
+            )
+        }
     }
 
     return canvas.toBuffer()
 }
 
-async function cropImage(sourceImage, x, y, width, height) {
+async function cropImage(sourceImage, x, y, width, height, outputSize = { width, height }) {
     try {
-        const loadedImage = await loadImage(sourceImage)
-        const canvas = createCanvas(width, height)
+        // Accepts an encoded buffer or an already loaded image
+        const loadedImage = Buffer.isBuffer(sourceImage) ? await loadImage(sourceImage) : sourceImage
+        const canvas = createCanvas(outputSize.width, outputSize.height)
         const ctx = canvas.getContext('2d')
-        ctx.drawImage(loadedImage, x, y, width, height, 0, 0, width, height)
+        ctx.drawImage(loadedImage, x, y, width, height, 0, 0, outputSize.width, outputSize.height)
         return canvas.toBuffer()
     }
     catch (error) {
-        console.error('Error processing images:', error)
+        log.error('Error processing images', { error })
         throw error
     }
 }
@@ -673,7 +1560,7 @@ const cleanupOldAvatars = async () => {
                 await fs.unlink(filePath)
             }
         } catch (error) {
-            console.error(`Error cleaning up file ${file}:`, error)
+            log.error('Error cleaning up file', { file, error })
         }
     }
 }
@@ -750,6 +1637,107 @@ const clearAllCaches = async () => {
     }
 }
 
+// Storage keys of everything rendered for a user: outputs, their variants, crops and facings
+const getUserStorageKeys = async (username) => {
+    const keys = []
+    for (const output of Object.values(OUTPUTS)) {
+        // user-thumbnail/bob lists bobby too, keep bob.webp and bob@64.png
+        const base = output.getParams(username).Key.replace(/\.webp$/, '')
+        for (const key of await storage.list(base)) {
+            if (/^(@[\w.]+)?\.\w+$/.test(key.slice(base.length))) keys.push(key)
+        }
+    }
+    keys.push(...await storage.list(`user-crop/${username}/`), ...await storage.list(`user-direction/${username}/`))
+    return keys
+}
+
+/**
+ * Removes the cached sprites of some items and the rendered outputs of some users,
+ * leaving every other cache warm. Avatars wearing a fixed item are re-rendered
+ * through rerenderItemWearers, this only drops the copies of the item itself.
+ * @param {Object} targets - { users, items, categories }: usernames, item ids and item categories
+ * @param {boolean} dryRun - Only report what would be removed
+ * @returns {Promise<Object>} What was (or would be) removed, with any errors
+ */
+const invalidateCaches = async ({ users = [], items = [], categories = [] }, dryRun = false) => {
+    const results = {
+        dryRun,
+        items: [],
+        users: [],
+        notFound: [],
+        memory: [], // Sprite cache keys
+        avatars: [], // Hashes of front-facing avatars held in memory
+        disk: [],
+        storage: [],
+        errors: []
+    }
+
+    // Items of the categories, on top of those listed
+    const itemIds = new Set(items.map(itemId => itemId.toLowerCase()))
+    if (categories.length > 0) {
+        const categoryItems = await Item.find({ category: { $in: categories } }, '_id').lean()
+        categoryItems.forEach(item => itemIds.add(item._id.toString()))
+    }
+    results.items = [...itemIds]
+
+    // Sprite cache entries are grouped by item id, see getCachedImage
+    if (itemIds.size > 0) {
+        for (const key of memoryCache.keys()) {
+            if (itemIds.has(key.split('|')[0])) results.memory.push(key)
+        }
+        const files = await fs.readdir(CACHE_DIR).catch(() => [])
+        results.disk = files.filter(file => itemIds.has(file.split('-')[0]))
+    }
+
+    for (const username of users) {
+        const user = await User.findOne({ username }, 'username customization customizationHash', { lean: true })
+        if (!user) {
+            results.notFound.push(username)
+            continue
+        }
+        results.users.push(username)
+
+        try {
+            results.storage.push(...await getUserStorageKeys(username))
+        } catch (error) {
+            results.errors.push({ type: 'storage_list', username, error: error.message })
+        }
+
+        for (const hash of new Set([user.customizationHash, await getCustomizationHash(user)])) {
+            if (hash && avatarCache.has(hash)) results.avatars.push(hash)
+        }
+    }
+
+    if (dryRun) return results
+
+    results.memory.forEach(key => memoryCache.delete(key))
+    results.avatars.forEach(hash => avatarCache.delete(hash))
+    itemIds.forEach(itemId => itemVersionCache.delete(itemId))
+
+    await Promise.all(results.disk.map(async (file) => {
+        try {
+            await fs.unlink(path.join(CACHE_DIR, file))
+        } catch (error) {
+            if (error.code !== 'ENOENT') results.errors.push({ type: 'disk_cache_file', file, error: error.message })
+        }
+    }))
+
+    await Promise.all(results.storage.map(async (key) => {
+        try {
+            await storage.delete(key)
+        } catch (error) {
+            results.errors.push({ type: 'storage_object', key, error: error.message })
+        }
+    }))
+
+    // Their outputs are gone, so the next request or batch lookup renders them again
+    if (results.users.length > 0) {
+        await User.updateMany({ username: { $in: results.users } }, { customizationHash: '' }, { timestamps: false })
+    }
+
+    return results
+}
+
 /**
  * Express middleware to handle cache clearing requests
  */
@@ -779,14 +1767,270 @@ const handleCacheClear = async (req, res) => {
     }
 }
 
+const MAX_INVALIDATE_TARGETS = 100
+
+/**
+ * Targeted cache invalidation.
+ * Body: users (usernames), items (item ids), categories (item categories), dryRun
+ */
+const handleCacheInvalidate = async (req, res) => {
+    try {
+        const { users = [], items = [], categories = [] } = req.body ?? {}
+        const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true'
+
+        if (!Array.isArray(users) || !users.every(username => typeof username === 'string')) {
+            return res.status(400).json({ success: false, message: 'users must be an array of usernames' })
+        }
+        if (!Array.isArray(items) || !items.every(itemId => typeof itemId === 'string' && OBJECT_ID_PATTERN.test(itemId))) {
+            return res.status(400).json({ success: false, message: 'items must be an array of item ids' })
+        }
+        if (!Array.isArray(categories) || !categories.every(category => Number.isInteger(Number(category)))) {
+            return res.status(400).json({ success: false, message: 'categories must be an array of numbers' })
+        }
+        if (users.length + items.length + categories.length === 0) {
+            return res.status(400).json({ success: false, message: 'Nothing to invalidate, expected users, items or categories' })
+        }
+        if (users.length > MAX_INVALIDATE_TARGETS || items.length > MAX_INVALIDATE_TARGETS) {
+            return res.status(400).json({ success: false, message: `At most ${MAX_INVALIDATE_TARGETS} users and items per request` })
+        }
+
+        const results = await invalidateCaches({ users, items, categories: categories.map(Number) }, dryRun)
+
+        res.status(results.errors.length === 0 ? 200 : 207).json({
+            success: true,
+            message: dryRun ? 'Nothing removed (dry run)' : 'Caches invalidated',
+            details: results
+        })
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to invalidate caches',
+            error: error.message
+        })
+    }
+}
+
 /**
  * Get queue status endpoint
  */
 const getQueueStatus = async (req, res) => {
     res.status(200).json({
         status: 'ok',
-        queue: avatarQueue.getStatus()
+        queue: await avatarQueue.getStatus(),
+        workers: getWorkerPoolStats(),
+        eventSubscribers: renderEvents.getSubscriberCount()
     });
 }
 
-export default { getAvatar, clearAllCaches, handleCacheClear, getQueueStatus }
\ No newline at end of file
+/**
+ * Changes the queue limits at runtime
+ * Body: maxConcurrent, maxQueueSize
+ */
+const setQueueConfig = async (req, res) => {
+    const limits = {}
+    for (const field of ['maxConcurrent', 'maxQueueSize']) {
+        if (req.body?.[field] === undefined) continue
+
+        const value = Number(req.body[field])
+        if (!Number.isInteger(value) || value < (field === 'maxConcurrent' ? 1 : 0)) {
+            return res.status(400).json({ success: false, message: `Invalid ${field}` })
+        }
+        limits[field] = value
+    }
+
+    res.status(200).json({ success: true, ...avatarQueue.configure(limits) })
+}
+
+const WEARER_BATCH_SIZE = 500
+
+// Content hash of an item's art: default sheet, fat sheet and dye mask
+const computeSpriteVersion = async (item) => {
+    const locations = [`item-sprite/${item._id}.webp`]
+    if (item.hasFatSheet && item.fatSpriteLocation) locations.push(item.fatSpriteLocation.replace(/^\//, ''))
+    if (item.dyeMaskLocation) locations.push(item.dyeMaskLocation.replace(/^\//, ''))
+
+    const hash = crypto.createHash('md5')
+    for (const location of locations) {
+        const object = await storage.get(location)
+        if (!object) throw new Error(`${location} not found in storage`)
+        hash.update(location).update(object.body)
+    }
+    return hash.digest('hex').slice(0, 12)
+}
+
+/**
+ * Refreshes an item's spriteVersion from its current art and queues a re-render for
+ * every user wearing it if the version changed.
+ * Body: version (optional, skips fetching the art), force (re-render even if unchanged)
+ */
+const rerenderItemWearers = async (req, res) => {
+    try {
+        const itemId = req.params.id
+        if (!OBJECT_ID_PATTERN.test(itemId)) {
+            return res.status(400).json({ success: false, message: 'Invalid item id' })
+        }
+
+        const item = await Item.findById(itemId, 'hasFatSheet fatSpriteLocation dyeMaskLocation spriteVersion').lean()
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Item not found' })
+        }
+
+        const force = req.body?.force ?? false
+        if (typeof force !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'force must be a boolean' })
+        }
+
+        let version
+        if (req.body?.version !== undefined) {
+            if (typeof req.body.version !== 'string' || !/^[\w-]{1,64}$/.test(req.body.version)) {
+                return res.status(400).json({ success: false, message: 'Invalid version' })
+            }
+            version = req.body.version
+        } else {
+            try {
+                version = await computeSpriteVersion(item)
+            } catch (error) {
+                return res.status(502).json({ success: false, message: 'Failed to fetch the item art', error: error.message })
+            }
+        }
+
+        const changed = version !== (item.spriteVersion ?? '')
+        if (changed) {
+            await Item.updateOne({ _id: itemId }, { spriteVersion: version }, { timestamps: false })
+            // Wearers below are hashed with the new version
+            itemVersionCache.delete(itemId)
+        } else if (!force) {
+            // Renders of the current art are already what wearers have
+            return res.status(200).json({ success: true, version, changed, wearers: null, queued: 0 })
+        }
+
+        // Every slot the item could be equipped in
+        const wearerFilter = {
+            $or: [
+                ...ITEM_SLOTS.map(slot => ({ [`customization.${slot}`]: itemId })),
+                ...TATTOO_SLOTS.map(slot => ({ [`customization.tattoos.${slot}`]: itemId }))
+            ]
+        }
+
+        let wearers = 0
+        let queued = 0
+        let batch = []
+        const flush = async () => {
+            const versions = await getItemVersions(batch.flatMap(user => Object.values(getSlotItemIds(user.customization ?? {}))))
+            queued += await avatarQueue.addMany(batch.map(user => ({
+                username: user.username,
+                hash: hashCustomization(user, versions),
+                priority: AvatarQueue.PRIORITY.batch
+            })))
+            batch = []
+        }
+
+        for await (const user of User.find(wearerFilter, 'username customization').lean().cursor()) {
+            wearers++
+            batch.push(user)
+            if (batch.length >= WEARER_BATCH_SIZE) await flush()
+        }
+        if (batch.length > 0) await flush()
+
+        res.status(200).json({ success: true, version, changed, wearers, queued })
+    } catch (error) {
+        log.error('Item re-render error', { item: req.params.id, error })
+        res.status(500).json({
+            success: false,
+            message: 'Failed to queue re-renders',
+            error: error.message
+        })
+    }
+}
+
+/**
+ * Queues a render of a user at owner priority, even when their outputs are up to date,
+ * e.g. after their stored files were lost or came out wrong
+ */
+const rerenderUser = async (req, res) => {
+    try {
+        const user = await User.findOne({ username: req.params.username }, 'username customization', { lean: true })
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' })
+        }
+
+        const hash = await getCustomizationHash(user)
+        const queueStatus = await avatarQueue.add({ username: user.username, hash, priority: AvatarQueue.PRIORITY.owner })
+
+        res.status(202).json({
+            success: true,
+            status: queueStatus.status,
+            position: queueStatus.position,
+            events: `/avatar/events/${user.username}`
+        })
+    } catch (error) {
+        log.error('User re-render error', { username: req.params.username, error })
+        res.status(500).json({
+            success: false,
+            message: 'Failed to queue re-render',
+            error: error.message
+        })
+    }
+}
+
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed']
+
+/**
+ * Lists queue jobs, failed ones unless another status is requested
+ * Query: status, username, limit (max 100)
+ */
+const getQueueJobs = async (req, res) => {
+    try {
+        const status = req.query.status ?? 'failed'
+        if (!JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Invalid status, expected one of: ${JOB_STATUSES.join(', ')}` })
+        }
+
+        const filter = { status }
+        if (typeof req.query.username === 'string') filter.username = req.query.username
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100)
+        const jobs = await RenderJob.find(filter, null, { lean: true }).sort({ updatedAt: -1 }).limit(limit)
+
+        res.status(200).json({ success: true, jobs })
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list queue jobs',
+            error: error.message
+        })
+    }
+}
+
+/**
+ * Requeues failed jobs: a single job by :id, otherwise every failed job
+ * (optionally only those of body.username)
+ */
+const requeueJobs = async (req, res) => {
+    try {
+        const filter = {}
+        if (req.params.id) {
+            if (!OBJECT_ID_PATTERN.test(req.params.id)) {
+                return res.status(400).json({ success: false, message: 'Invalid job id' })
+            }
+            filter._id = req.params.id
+        } else if (typeof req.body?.username === 'string') {
+            filter.username = req.body.username
+        }
+
+        const results = await avatarQueue.requeue(filter)
+        if (req.params.id && results.requeued === 0 && results.skipped === 0) {
+            return res.status(404).json({ success: false, message: 'No failed job with this id' })
+        }
+
+        res.status(200).json({ success: true, ...results })
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to requeue jobs',
+            error: error.message
+        })
+    }
+}
+
+export default { getAvatar, getAvatarsBatch, getRenderEvents, getPreview, clearAllCaches, invalidateCaches, handleCacheClear, handleCacheInvalidate, getQueueStatus, setQueueConfig, getQueueJobs, requeueJobs, rerenderUser, rerenderItemWearers, watchCustomizations }
\ No newline at end of file
@@ -0,0 +1,60 @@
+import AuditLog from '../models/AuditLog.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('audit')
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365
+
+/**
+ * Express middleware that records an admin action once it has been answered.
+ * Goes after requireScope, which identifies the caller.
+ * @param {string} action - Name of the action, e.g. cache.clear
+ */
+const audit = (action) => (req, res, next) => {
+    res.on('finish', () => {
+        AuditLog.create({
+            actorType: req.actor?.type ?? 'api_key',
+            actor: req.actor?.name ?? 'unknown',
+            action,
+            target: req.params.username ?? req.params.id ?? '',
+            params: { query: req.query, body: req.body },
+            status: res.statusCode,
+            ip: req.ip ?? '',
+            expireAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        }).catch(error => log.error('Failed to record audit log', { action, error }))
+    })
+    next()
+}
+
+/**
+ * Lists recorded admin actions, newest first
+ * Query: actor, action, target, before (ISO date, for paging), limit (max 200)
+ */
+const getAuditLog = async (req, res) => {
+    try {
+        const filter = {}
+        for (const field of ['actor', 'action', 'target']) {
+            if (typeof req.query[field] === 'string') filter[field] = req.query[field]
+        }
+        if (req.query.before !== undefined) {
+            const before = new Date(req.query.before)
+            if (isNaN(before)) {
+                return res.status(400).json({ success: false, message: 'Invalid before date' })
+            }
+            filter.createdAt = { $lt: before }
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+        const entries = await AuditLog.find(filter, '-expireAt', { lean: true }).sort({ createdAt: -1 }).limit(limit)
+
+        res.status(200).json({ success: true, entries })
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list audit log',
+            error: error.message
+        })
+    }
+}
+
+export { audit, getAuditLog }
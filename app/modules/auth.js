@@ -0,0 +1,133 @@
+import crypto from 'crypto'
+import User from '../models/User.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('auth')
+
+// What admin callers can be allowed to do
+const SCOPES = ['cache', 'queue.read', 'queue.write', 'render', 'audit.read', 'metrics']
+
+// Scopes of staff sessions, by User.access (1 = game moderator, 2 = super moderator, 3 = administrator)
+const ACCESS_SCOPES = {
+    1: ['queue.read'],
+    2: ['cache', 'queue.read', 'render'],
+    3: SCOPES
+}
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest()
+
+// Rate limit budgets of a key, "requests=6000,renders=600" (see rateLimits.js).
+// express-rate-limit reads a max of 0 as no limit at all, so budgets must be positive.
+const parseLimits = (value) => {
+    const limits = {}
+    for (const entry of value.split(',')) {
+        const [budget, max] = entry.split('=').map(part => part.trim())
+        if (!budget) continue
+        if (Number.isInteger(Number(max)) && Number(max) > 0) limits[budget] = Number(max)
+        else log.warn('Ignoring invalid rate limit for API key', { budget, max })
+    }
+    return limits
+}
+
+/**
+ * Reads the API keys from API_KEYS, "name:key:scope,scope;name:key:*", plus API_KEY
+ * which keeps every scope under the name "default". Only digests are kept.
+ * An optional fourth part sets the key's rate limits, e.g. "game:key::requests=6000,renders=600".
+ * @returns {Array<Object>} { name, digest, scopes, limits }
+ */
+const loadApiKeys = () => {
+    const keys = []
+    if (process.env.API_KEY) {
+        keys.push({ name: 'default', digest: digest(process.env.API_KEY), scopes: ['*'], limits: {} })
+    }
+
+    for (const entry of (process.env.API_KEYS ?? '').split(';')) {
+        if (!entry.trim()) continue
+
+        const [name, key, scopes = '', limits = ''] = entry.trim().split(':')
+        if (!name || !key) {
+            log.warn('Ignoring malformed API_KEYS entry')
+            continue
+        }
+        const keyScopes = scopes.split(',').map(scope => scope.trim()).filter(Boolean)
+        for (const scope of keyScopes) {
+            if (scope !== '*' && !SCOPES.includes(scope)) log.warn('Unknown scope for API key', { scope, key: name })
+        }
+        keys.push({ name, digest: digest(key), scopes: keyScopes, limits: parseLimits(limits) })
+    }
+    return keys
+}
+
+const API_KEYS = loadApiKeys()
+
+// Compares digests against every key so the lookup doesn't leak the key length, contents or position
+const findApiKey = (provided) => {
+    const providedDigest = digest(provided)
+    let found = null
+    for (const key of API_KEYS) {
+        if (crypto.timingSafeEqual(key.digest, providedDigest)) found = key
+    }
+    return found
+}
+
+// Key sent in x-api-key, or as a bearer token for clients that can't set headers (e.g. Prometheus)
+const getProvidedKey = (req) => {
+    return req.get('x-api-key') || req.get('authorization')?.match(/^Bearer (.+)$/i)?.[1]
+}
+
+// The API key of a request, null without a valid one
+const getApiKey = (req) => {
+    const apiKey = getProvidedKey(req)
+    return apiKey ? findApiKey(apiKey) : null
+}
+
+/**
+ * Works out who is calling: an API key (see getProvidedKey), or a staff session in x-session-key
+ * @returns {Promise<Object|null>} { type: api_key | user, name, scopes }, null if neither is valid
+ */
+const authenticate = async (req) => {
+    const apiKey = getProvidedKey(req)
+    if (apiKey) {
+        const key = findApiKey(apiKey)
+        return key ? { type: 'api_key', name: key.name, scopes: key.scopes } : null
+    }
+
+    const sessionKey = req.get('x-session-key')
+    if (sessionKey) {
+        const user = await User.findOne({
+            sessionKey,
+            $or: [{ sessionExpire: { $gt: new Date() } }, { sessionExpire: null }]
+        }, 'username access', { lean: true })
+        if (!user) return null
+
+        return { type: 'user', name: user.username, scopes: ACCESS_SCOPES[Math.min(user.access ?? 0, 3)] ?? [] }
+    }
+
+    return null
+}
+
+const hasScope = (actor, scope) => actor.scopes.includes('*') || actor.scopes.includes(scope)
+
+/**
+ * Express middleware that only lets through callers holding a scope, see SCOPES.
+ * The caller is left on req.actor for the handler and the audit log.
+ */
+const requireScope = (scope) => async (req, res, next) => {
+    try {
+        const actor = await authenticate(req)
+        if (!actor) {
+            return res.status(401).json({ success: false, message: 'Unauthorized' })
+        }
+        if (!hasScope(actor, scope)) {
+            return res.status(403).json({ success: false, message: `Missing scope: ${scope}` })
+        }
+
+        req.actor = actor
+        next()
+    } catch (error) {
+        log.error('Authentication error', { error })
+        res.status(500).json({ success: false, message: 'Error authenticating request' })
+    }
+}
+
+export { SCOPES, getApiKey, authenticate, requireScope }
@@ -0,0 +1,418 @@
+import EventEmitter from 'events'
+import crypto from 'crypto'
+import RenderJob from '../models/RenderJob.js'
+import { createLogger, getContext, runWithContext } from './logger.js'
+
+const log = createLogger('queue')
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Priority lanes, lower runs first
+const PRIORITY = {
+    owner: 0, // The player who just changed clothes
+    visitor: 1, // Someone viewing a profile
+    batch: 2 // Background re-renders
+}
+
+// Persistent queue for avatar generation, backed by the RenderJob collection.
+// Jobs survive restarts, failed attempts are retried with exponential backoff and
+// jobs that keep failing are parked as 'failed' (dead letter) until requeued.
+class AvatarQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.instanceId = crypto.randomUUID();
+        this.handler = null;
+        this.running = new Map(); // Jobs executing on this instance, by task key (username + hash)
+        this.maxConcurrent = options.maxConcurrent ?? 2; // Maximum concurrent generations
+        this.maxQueueSize = options.maxQueueSize ?? 2; // Queue size threshold for returning old images
+        this.maxAttempts = options.maxAttempts ?? 5;
+        this.retryDelay = options.retryDelay ?? 5000; // Base backoff, doubled on every attempt
+        this.maxRetryDelay = options.maxRetryDelay ?? 10 * 60 * 1000;
+        this.visibilityTimeout = options.visibilityTimeout ?? 5 * 60 * 1000;
+        this.jobTimeout = options.jobTimeout ?? 10 * 60 * 1000; // Renders running longer count as a failed attempt
+        this.pollInterval = options.pollInterval ?? 5000;
+        this.timer = null;
+        this.claiming = false;
+        this.recheck = false;
+    }
+
+    getKey(task) {
+        return `${task.username}-${task.hash}`;
+    }
+
+    /**
+     * Changes the limits while running
+     * @param {Object} limits - { maxConcurrent, maxQueueSize }, missing values are kept
+     * @returns {Object} The limits now in effect
+     */
+    configure({ maxConcurrent, maxQueueSize } = {}) {
+        if (Number.isInteger(maxConcurrent) && maxConcurrent > 0) this.maxConcurrent = maxConcurrent;
+        if (Number.isInteger(maxQueueSize) && maxQueueSize >= 0) this.maxQueueSize = maxQueueSize;
+
+        // Use any slots that were just added
+        setImmediate(() => this.process());
+        return { maxConcurrent: this.maxConcurrent, maxQueueSize: this.maxQueueSize };
+    }
+
+    // Queued jobs that will run before this one
+    async getPosition(job) {
+        if (job.status !== 'queued') return 0;
+        return await RenderJob.countDocuments({
+            status: 'queued',
+            $or: [
+                { priority: { $lt: job.priority } },
+                { priority: job.priority, availableAt: { $lt: job.availableAt } }
+            ]
+        });
+    }
+
+    /**
+     * Sets the function that runs a job and starts polling for work
+     * @param {Function} handler - Receives the job document, resolves with the render result
+     */
+    start(handler) {
+        this.handler = handler;
+        if (!this.timer) {
+            // Picks up retries whose backoff elapsed and jobs whose lock expired
+            this.timer = setInterval(() => this.process(), this.pollInterval);
+            this.timer.unref();
+        }
+        setImmediate(() => this.process());
+    }
+
+    /**
+     * Whether a render is already queued or running for the same user and hash,
+     * in which case add() won't create new work
+     * @param {Object} task - { username, hash }
+     * @returns {Promise<boolean>}
+     */
+    async isPending(task) {
+        if (this.running.has(this.getKey(task))) return true;
+        return !!(await RenderJob.exists({ username: task.username, hash: task.hash ?? '', active: true }));
+    }
+
+    /**
+     * Queues a render unless one is already pending for the same user and hash.
+     * A pending job is moved to a faster lane if the new request has a higher priority.
+     * @param {Object} task - { username, hash, priority }, priority defaults to the batch lane
+     * @returns {Promise<Object>} { status, position } or { status: 'processing', promise }
+     */
+    async add(task) {
+        const key = this.getKey(task);
+        const priority = task.priority ?? PRIORITY.batch;
+
+        // Check if already processing here
+        if (this.running.has(key)) {
+            return { status: 'processing', promise: this.running.get(key) };
+        }
+
+        // Insert unless an active job already exists for this task
+        const filter = { username: task.username, hash: task.hash ?? '', active: true };
+        const update = {
+            $setOnInsert: {
+                status: 'queued',
+                maxAttempts: this.maxAttempts,
+                availableAt: new Date(),
+                requestId: getContext().requestId
+            },
+            $min: { priority }
+        };
+        let result;
+        try {
+            result = await RenderJob.findOneAndUpdate(filter, update, { upsert: true, new: true, rawResult: true });
+        } catch (error) {
+            // Lost an insert race against another request for the same task
+            if (error.code !== 11000) throw error;
+            result = await RenderJob.findOneAndUpdate(filter, { $min: { priority } }, { new: true, rawResult: true });
+        }
+
+        const job = result.value;
+        if (!job) {
+            // Finished between the insert race and the update, nothing left to wait for
+            return { status: 'queued', position: 0 };
+        }
+        const position = await this.getPosition(job);
+
+        // Already queued, or being processed by another instance
+        if (result.lastErrorObject?.updatedExisting) {
+            return { status: 'queued', position };
+        }
+
+        this.emit('task_added', job);
+
+        // Start processing if under limit
+        setImmediate(() => this.process());
+
+        // Return different status based on queue size
+        const queueLength = await RenderJob.countDocuments({ status: 'queued' });
+        if (queueLength > this.maxQueueSize) {
+            return {
+                status: 'queue_full_but_added',
+                queueLength,
+                position
+            };
+        }
+
+        return { status: 'queued', position };
+    }
+
+    /**
+     * Queues several renders with a single write, with the same deduplication as add()
+     * @param {Object[]} tasks - { username, hash, priority }
+     * @returns {Promise<number>} Number of new jobs
+     */
+    async addMany(tasks) {
+        const pending = tasks.filter(task => !this.running.has(this.getKey(task)));
+        if (pending.length === 0) return 0;
+
+        const now = new Date();
+        const { requestId } = getContext();
+        const operations = pending.map(task => ({
+            updateOne: {
+                filter: { username: task.username, hash: task.hash ?? '', active: true },
+                update: {
+                    $setOnInsert: {
+                        status: 'queued',
+                        attempts: 0,
+                        maxAttempts: this.maxAttempts,
+                        availableAt: now,
+                        requestId
+                    },
+                    $min: { priority: task.priority ?? PRIORITY.batch }
+                },
+                upsert: true
+            }
+        }));
+
+        let insertedIds;
+        try {
+            const result = await RenderJob.bulkWrite(operations, { ordered: false });
+            insertedIds = Object.values(result.upsertedIds ?? {});
+        } catch (error) {
+            // Insert races only mean the job already exists, the other operations still went through
+            if (!error.writeErrors?.every(writeError => writeError.code === 11000)) throw error;
+            insertedIds = Object.values(error.upsertedIds ?? {});
+        }
+
+        if (insertedIds.length > 0) {
+            const jobs = await RenderJob.find({ _id: { $in: insertedIds } });
+            jobs.forEach(job => this.emit('task_added', job));
+            setImmediate(() => this.process());
+        }
+
+        return insertedIds.length;
+    }
+
+    // Dead-letters jobs whose lock expired on their last attempt. Their render never reported
+    // back, most likely because it took the process down, so running it again would do the same
+    async reapAbandoned(now) {
+        for (;;) {
+            const job = await RenderJob.findOneAndUpdate(
+                {
+                    active: true,
+                    status: 'processing',
+                    lockedUntil: { $lte: now },
+                    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+                },
+                {
+                    $set: { status: 'failed', lastError: 'Render never finished, its process crashed or stalled', expireAt: new Date(now.getTime() + 7 * DAY) },
+                    $unset: { active: '', lockedBy: '', lockedUntil: '' }
+                },
+                { new: true }
+            );
+            if (!job) return;
+
+            runWithContext({ taskId: job._id.toString(), requestId: job.requestId }, () => {
+                const error = new Error(job.lastError);
+                this.emit('task_dead', job, error);
+                this.emit('task_failed', job, error);
+            });
+        }
+    }
+
+    // Claims the next due job, or one whose visibility timeout expired with attempts left
+    async claim() {
+        const now = new Date();
+        await this.reapAbandoned(now);
+        return await RenderJob.findOneAndUpdate(
+            {
+                active: true,
+                $or: [
+                    { status: 'queued', availableAt: { $lte: now } },
+                    { status: 'processing', lockedUntil: { $lte: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+                ]
+            },
+            {
+                $set: {
+                    status: 'processing',
+                    lockedBy: this.instanceId,
+                    lockedUntil: new Date(now.getTime() + this.visibilityTimeout)
+                },
+                $inc: { attempts: 1 }
+            },
+            { sort: { priority: 1, availableAt: 1 }, new: true }
+        );
+    }
+
+    async process() {
+        if (!this.handler) return;
+        if (this.claiming) {
+            // Look again once the current pass is done, it may have missed the new job
+            this.recheck = true;
+            return;
+        }
+        this.claiming = true;
+        this.recheck = false;
+
+        try {
+            while (this.running.size < this.maxConcurrent) {
+                const job = await this.claim();
+                if (!job) break;
+
+                const key = this.getKey(job);
+                const promise = this.executeTask(job);
+                this.running.set(key, promise);
+
+                promise
+                    .catch(() => {}) // Reported through task_failed
+                    .finally(() => {
+                        this.running.delete(key);
+                        // Process next item
+                        setImmediate(() => this.process());
+                    });
+            }
+        } catch (error) {
+            log.error('Avatar queue error', { error });
+        } finally {
+            this.claiming = false;
+            if (this.recheck) setImmediate(() => this.process());
+        }
+    }
+
+    // Matches a job only while this instance still holds the lock of this attempt, so a job
+    // whose lock expired and was claimed again isn't completed or failed from here
+    getLockFilter(job) {
+        return { _id: job._id, lockedBy: this.instanceId, attempts: job.attempts };
+    }
+
+    // Runs a job under its own task ID, along with the ID of the request that queued it,
+    // so the handler and the task events log with both
+    executeTask(job) {
+        return runWithContext({ taskId: job._id.toString(), requestId: job.requestId }, async () => {
+            // Keep the lock alive while the render runs
+            const heartbeat = setInterval(() => {
+                RenderJob.updateOne(
+                    this.getLockFilter(job),
+                    { lockedUntil: new Date(Date.now() + this.visibilityTimeout) }
+                ).catch(error => log.warn('Failed to extend job lock', { error }));
+            }, this.visibilityTimeout / 2);
+
+            // A hung render would otherwise hold its lock and a slot for good. It can't be
+            // cancelled, but the job is failed and the slot freed once the time is up
+            let timeout;
+            const timedOut = new Promise((resolve, reject) => {
+                timeout = setTimeout(() => reject(new Error(`Render timed out after ${this.jobTimeout} ms`)), this.jobTimeout);
+            });
+
+            this.emit('task_started', job);
+
+            try {
+                const result = await Promise.race([this.handler(job), timedOut]);
+                const update = await RenderJob.updateOne(this.getLockFilter(job), {
+                    $set: { status: 'completed', completedAt: new Date(), expireAt: new Date(Date.now() + DAY) },
+                    $unset: { active: '', lockedBy: '', lockedUntil: '' }
+                });
+                if (update.matchedCount === 0) {
+                    log.warn('Job lock lost before completion, leaving the job to its new owner', { username: job.username, hash: job.hash });
+                }
+                this.emit('task_completed', job, result);
+                return result;
+            } catch (error) {
+                await this.fail(job, error).catch(failError => log.error('Failed to record job failure', { error: failError }));
+                this.emit('task_failed', job, error);
+                throw error;
+            } finally {
+                clearInterval(heartbeat);
+                clearTimeout(timeout);
+            }
+        });
+    }
+
+    // Schedules a retry with backoff, or dead-letters the job once out of attempts
+    async fail(job, error) {
+        const lastError = error?.message ?? String(error);
+
+        if (error?.permanent || job.attempts >= job.maxAttempts) {
+            const update = await RenderJob.updateOne(this.getLockFilter(job), {
+                $set: { status: 'failed', lastError, expireAt: new Date(Date.now() + 7 * DAY) },
+                $unset: { active: '', lockedBy: '', lockedUntil: '' }
+            });
+            if (update.matchedCount === 0) return this.lostLock(job);
+            this.emit('task_dead', job, error);
+            return;
+        }
+
+        const delay = Math.min(this.retryDelay * 2 ** (job.attempts - 1), this.maxRetryDelay);
+        const update = await RenderJob.updateOne(this.getLockFilter(job), {
+            $set: { status: 'queued', lastError, availableAt: new Date(Date.now() + delay) },
+            $unset: { lockedBy: '', lockedUntil: '' }
+        });
+        if (update.matchedCount === 0) return this.lostLock(job);
+        this.emit('task_retry', job, delay);
+    }
+
+    // The job was claimed again after its lock expired, its new owner records the outcome
+    lostLock(job) {
+        log.warn('Job lock lost before the failure was recorded, leaving the job to its new owner', { username: job.username, hash: job.hash });
+    }
+
+    /**
+     * Puts failed jobs back in the queue with a fresh set of attempts.
+     * Jobs whose task is already queued again are skipped.
+     * @param {Object} filter - RenderJob filter, restricted to failed jobs
+     * @returns {Promise<Object>} { requeued, skipped }
+     */
+    async requeue(filter = {}) {
+        const jobs = await RenderJob.find({ ...filter, status: 'failed' }, '_id');
+        let requeued = 0;
+        let skipped = 0;
+
+        for (const job of jobs) {
+            try {
+                const result = await RenderJob.updateOne({ _id: job._id, status: 'failed' }, {
+                    $set: { status: 'queued', active: true, attempts: 0, availableAt: new Date() },
+                    $unset: { expireAt: '' }
+                });
+                result.modifiedCount ? requeued++ : skipped++;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+                skipped++;
+            }
+        }
+
+        if (requeued > 0) setImmediate(() => this.process());
+        return { requeued, skipped };
+    }
+
+    async getStatus() {
+        const [queueLength, processing, failed] = await Promise.all([
+            RenderJob.countDocuments({ status: 'queued' }),
+            RenderJob.countDocuments({ status: 'processing' }),
+            RenderJob.countDocuments({ status: 'failed' })
+        ]);
+
+        return {
+            queueLength,
+            processing,
+            processingHere: this.running.size,
+            failed,
+            totalPending: queueLength + processing,
+            maxConcurrent: this.maxConcurrent,
+            maxQueueSize: this.maxQueueSize
+        };
+    }
+}
+
+AvatarQueue.PRIORITY = PRIORITY;
+
+export default AvatarQueue
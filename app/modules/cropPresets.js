@@ -0,0 +1,120 @@
+import fs from 'fs/promises'
+import { createLogger } from './logger.js'
+
+const log = createLogger('cropPresets')
+
+const CELL_WIDTH = 425
+const CELL_HEIGHT = 850
+
+// Named crops of the front-facing cell (425x850) of an unscaled character.
+// rect is the default crop, bodies overrides it per gender or gender_bodyType
+// (e.g. female, male_curvy). size is the output size.
+// autoFit grows the crop on each edge that non-transparent pixels inside region cross, plus
+// padding, keeping the aspect ratio of size, so tall hats and hair stay in frame.
+const DEFAULT_CROP_PRESETS = {
+    headshot: {
+        rect: { x: 103, y: 42, width: 218, height: 218 },
+        size: { width: 218, height: 218 },
+        autoFit: { region: { x: 103, y: 0, width: 218, height: 260 }, padding: 12 }
+    },
+    bust: {
+        rect: { x: 52, y: 20, width: 320, height: 400 },
+        size: { width: 320, height: 400 },
+        autoFit: { region: { x: 52, y: 0, width: 320, height: 420 }, padding: 12 }
+    },
+    fullBody: {
+        rect: { x: 0, y: 0, width: 425, height: 850 },
+        size: { width: 425, height: 850 }
+    }
+}
+
+// Presets from CROP_PRESETS_FILE (JSON, same shape) replace or add to the defaults
+const loadCropPresets = async () => {
+    const presets = { ...DEFAULT_CROP_PRESETS }
+    if (!process.env.CROP_PRESETS_FILE) return presets
+
+    try {
+        Object.assign(presets, JSON.parse(await fs.readFile(process.env.CROP_PRESETS_FILE, 'utf8')))
+    } catch (error) {
+        log.error('Failed to load crop presets', { file: process.env.CROP_PRESETS_FILE, error })
+    }
+    return presets
+}
+
+const CROP_PRESETS = await loadCropPresets()
+
+const getCropPreset = (name) => {
+    return Object.hasOwn(CROP_PRESETS, name) ? CROP_PRESETS[name] : null
+}
+
+// Crop rect of a preset for a body, most specific entry first
+const getPresetRect = (preset, gender, bodyTypeName) => {
+    return preset.bodies?.[`${gender}_${bodyTypeName}`] ?? preset.bodies?.[gender] ?? preset.rect
+}
+
+// Grows a rect around its centre to an aspect ratio, then keeps it inside the cell
+const fitRect = (rect, aspect) => {
+    let { width, height } = rect
+    if (width / height < aspect) width = height * aspect
+    else height = width / aspect
+
+    // Too large for the cell, shrink back to the largest rect that fits
+    if (width > CELL_WIDTH) {
+        width = CELL_WIDTH
+        height = width / aspect
+    }
+    if (height > CELL_HEIGHT) {
+        height = CELL_HEIGHT
+        width = height * aspect
+    }
+
+    const centerX = rect.x + rect.width / 2
+    const centerY = rect.y + rect.height / 2
+    width = Math.round(width)
+    height = Math.round(height)
+
+    return {
+        x: Math.round(Math.min(Math.max(centerX - width / 2, 0), CELL_WIDTH - width)),
+        y: Math.round(Math.min(Math.max(centerY - height / 2, 0), CELL_HEIGHT - height)),
+        width,
+        height
+    }
+}
+
+/**
+ * Grows a crop so the non-transparent pixels of a region fit in it. Only edges that content
+ * crosses move, the body always reaches the edges of a crop it's cut by.
+ * @param {Object} pixels - RGBA { data, width, height } of the front-facing cell
+ * @param {Object} region - Area searched for content
+ * @param {Object} rect - Crop to start from
+ * @param {Object} options - { padding, aspect }
+ * @returns {Object} The crop rect, inside the cell
+ */
+const fitToContent = (pixels, region, rect, { padding = 0, aspect }) => {
+    const startX = Math.max(0, Math.floor(region.x))
+    const startY = Math.max(0, Math.floor(region.y))
+    const endX = Math.min(pixels.width, Math.ceil(region.x + region.width))
+    const endY = Math.min(pixels.height, Math.ceil(region.y + region.height))
+
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1
+    for (let y = startY; y < endY; y++) {
+        for (let x = startX; x < endX; x++) {
+            if (pixels.data[(y * pixels.width + x) * 4 + 3] === 0) continue
+            if (x < minX) minX = x
+            if (x > maxX) maxX = x
+            if (y < minY) minY = y
+            if (y > maxY) maxY = y
+        }
+    }
+
+    if (maxX < 0) return fitRect(rect, aspect)
+
+    const left = minX < rect.x ? minX - padding : rect.x
+    const top = minY < rect.y ? minY - padding : rect.y
+    const right = maxX + 1 > rect.x + rect.width ? maxX + 1 + padding : rect.x + rect.width
+    const bottom = maxY + 1 > rect.y + rect.height ? maxY + 1 + padding : rect.y + rect.height
+
+    return fitRect({ x: left, y: top, width: right - left, height: bottom - top }, aspect)
+}
+
+export { CROP_PRESETS, getCropPreset, getPresetRect, fitRect, fitToContent }
@@ -0,0 +1,157 @@
+import EventEmitter from 'events'
+import User from '../models/User.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('watcher')
+
+// Error codes meaning change streams aren't available (standalone server, no oplog)
+const CHANGE_STREAM_UNSUPPORTED = [40573, 136, 20]
+
+// Only updates touching customization, including single fields like customization.hat
+const CUSTOMIZATION_PIPELINE = [
+    {
+        $match: {
+            $or: [
+                { operationType: 'replace' },
+                {
+                    operationType: 'update',
+                    $expr: {
+                        $gt: [{
+                            $size: {
+                                $filter: {
+                                    input: { $objectToArray: '$updateDescription.updatedFields' },
+                                    cond: { $regexMatch: { input: '$$this.k', regex: '^customization(\\.|$)' } }
+                                }
+                            }
+                        }, 0]
+                    }
+                }
+            ]
+        }
+    },
+    { $project: { documentKey: 1 } }
+]
+
+// Fields the poll loads for findStale
+const POLL_FIELDS = 'username customization customizationHash updatedAt'
+
+// Watches users for customization changes and emits a debounced 'change' per user.
+// Uses a change stream when the deployment supports it, otherwise polls updatedAt
+// and keeps the users whose customization no longer matches their render (findStale).
+class CustomizationWatcher extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.mode = options.mode ?? 'auto'; // auto | stream | poll
+        this.debounce = options.debounce ?? 5000; // Quiet time before a user's change is emitted
+        this.pollInterval = options.pollInterval ?? 15000;
+        this.retryDelay = options.retryDelay ?? 5000; // Before reopening a failed change stream
+        this.findStale = options.findStale ?? (async (users) => users); // Receives lean users with POLL_FIELDS, resolves with those to render
+        this.timers = new Map(); // Pending debounce timers by user id
+        this.stream = null;
+        this.resumeToken = null;
+        this.pollTimer = null;
+        this.lastPoll = null;
+        this.stopped = true;
+    }
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+
+        if (this.mode === 'poll') {
+            this.startPolling();
+        } else {
+            this.openStream();
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        this.stream?.close();
+        this.stream = null;
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    // Restarts the quiet period, so rapid outfit changes only emit once
+    schedule(userId) {
+        const key = userId.toString();
+        clearTimeout(this.timers.get(key));
+
+        const timer = setTimeout(() => {
+            this.timers.delete(key);
+            this.emit('change', key);
+        }, this.debounce);
+        timer.unref();
+        this.timers.set(key, timer);
+    }
+
+    openStream() {
+        if (this.stopped) return;
+
+        const options = this.resumeToken ? { resumeAfter: this.resumeToken } : {};
+        const stream = User.watch(CUSTOMIZATION_PIPELINE, options);
+        this.stream = stream;
+
+        stream.on('change', (change) => {
+            this.resumeToken = change._id;
+            this.schedule(change.documentKey._id);
+        });
+
+        stream.on('error', (error) => {
+            stream.close();
+            if (this.stream === stream) this.stream = null;
+            if (this.stopped) return;
+
+            if (CHANGE_STREAM_UNSUPPORTED.includes(error.code) && this.mode === 'auto') {
+                log.info('Change streams are not supported by this deployment, polling for customization changes');
+                this.startPolling();
+                return;
+            }
+
+            log.error('Customization change stream error', { error });
+            // The resume token may be gone from the oplog, start over rather than failing again
+            if (error.code === 286) this.resumeToken = null;
+            setTimeout(() => this.openStream(), this.retryDelay).unref();
+        });
+
+        this.emit('mode', 'stream');
+    }
+
+    startPolling() {
+        if (this.pollTimer || this.stopped) return;
+
+        const poll = () => this.poll().catch(error => {
+            log.error('Customization poll error', { error });
+        });
+        this.lastPoll = null;
+        this.pollTimer = setInterval(poll, this.pollInterval);
+        this.pollTimer.unref();
+        poll();
+
+        this.emit('mode', 'poll');
+    }
+
+    // Renders don't touch updatedAt (they update without timestamps), so anything newer was changed by the player.
+    // The cursor is the newest updatedAt seen rather than this server's clock, which may be off from the writers'.
+    // Both queries need the updatedAt index on users.
+    async poll() {
+        if (!this.lastPoll) {
+            const newest = await User.findOne({}, 'updatedAt', { lean: true }).sort({ updatedAt: -1 });
+            this.lastPoll = newest?.updatedAt ?? new Date(0);
+            return;
+        }
+
+        const users = await User.find({ updatedAt: { $gt: this.lastPoll } }, POLL_FIELDS, { lean: true });
+        if (users.length === 0) return;
+
+        // Profile edits also bump updatedAt, only customization changes need a render
+        const stale = await this.findStale(users);
+        stale.forEach(user => this.schedule(user._id));
+        this.lastPoll = users.reduce((newest, user) => user.updatedAt > newest ? user.updatedAt : newest, this.lastPoll);
+    }
+}
+
+export default CustomizationWatcher
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose'
+import { createLogger } from './logger.js'
+
+const log = createLogger('db')
 
 const connectDB = async () => {
     try {
@@ -7,10 +10,10 @@ const connectDB = async () => {
             useNewUrlParser: true,
         })
 
-        console.log(`MongoDB Connected: ${conn.connection.host}`)
+        log.info('MongoDB connected', { host: conn.connection.host })
     } 
     catch (error) { 
-        console.error(`Error: ${error}`) 
+        log.error('MongoDB connection failed', { error })
         process.exit(1)
     }
 }
@@ -1,9 +1,29 @@
-import { Worker } from 'worker_threads'
 import { createCanvas } from 'canvas'
 import os from 'os'
 import path from 'path'
+import WorkerPool from './workerPool.js'
+import { createLogger } from './logger.js'
 
-async function removePixelsByImage(sourceImagePath, maskImagePath) {
+const log = createLogger('imageProcessor')
+
+// Green key used by occlusion masks
+const KEY_COLOR = {
+    target: { r: 0, g: 255, b: 4 },
+    tolerance: { r: 50, g: 150, b: 50 }
+}
+
+let pool = null
+
+// Started lazily so importing this module never spawns threads
+const getPool = () => {
+    if (!pool) {
+        const size = parseInt(process.env.IMAGE_WORKER_POOL_SIZE) || os.cpus().length
+        pool = new WorkerPool(path.join(process.cwd(), 'app/modules/imageWorker.js'), size)
+    }
+    return pool
+}
+
+async function removePixelsByImage(sourceImagePath, maskImagePath, options = KEY_COLOR) {
     try {
         let sourceImage = sourceImagePath
         let maskImage = maskImagePath
@@ -30,7 +50,7 @@ async function removePixelsByImage(sourceImagePath, maskImagePath) {
         let sourceImageData = sourceCtx.getImageData(0, 0, sourceCanvas.width, sourceCanvas.height)
         let maskImageData = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height)
 
-        const result = await processWithWorkers(sourceImageData.data, maskImageData.data, true)
+        const result = await processWithWorkers(sourceImageData.data, maskImageData.data, true, getKeyParams(options))
         
         // Create new ImageData with processed result
         sourceImageData.data.set(result)
@@ -38,12 +58,12 @@ async function removePixelsByImage(sourceImagePath, maskImagePath) {
         return sourceCanvas.toBuffer()
     } 
     catch (error) {
-        console.error('Error processing images:', error)
+        log.error('Failed to remove pixels by image', { error })
         throw error
     }
 }
 
-async function removePixelsByColor(sourceImage) {
+async function removePixelsByColor(sourceImage, options = KEY_COLOR) {
     try {
         if (!sourceImage) {
             throw new Error('Invalid source image')
@@ -54,23 +74,153 @@ async function removePixelsByColor(sourceImage) {
         sourceCtx.drawImage(sourceImage, 0, 0)
         let sourceImageData = sourceCtx.getImageData(0, 0, sourceCanvas.width, sourceCanvas.height)
 
-        const result = await processWithWorkers(sourceImageData.data, null, false)
+        const result = await processWithWorkers(sourceImageData.data, null, false, getKeyParams(options))
         
         sourceImageData.data.set(result)
         sourceCtx.putImageData(sourceImageData, 0, 0)
         return sourceCanvas.toBuffer()
     }
     catch (error) {
-        console.error('Error processing images:', error)
+        log.error('Failed to remove pixels by color', { error })
+        throw error
+    }
+}
+
+/**
+ * Builds the occlusion mask of a sprite: opaque where the sprite has the key colour and
+ * transparent everywhere else, ready to be erased with the destination-out operation
+ * @param {Image} sourceImage - Item sprite, undyed so the key colour is intact
+ * @returns {Promise<Canvas>} Mask the size of the sprite
+ */
+async function createKeyMask(sourceImage, options = KEY_COLOR) {
+    try {
+        if (!sourceImage) {
+            throw new Error('Invalid source image')
+        }
+
+        let maskCanvas = createCanvas(sourceImage.width, sourceImage.height)
+        let maskCtx = maskCanvas.getContext('2d')
+        maskCtx.drawImage(sourceImage, 0, 0)
+        let maskImageData = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height)
+
+        const result = await processWithWorkers(maskImageData.data, null, false, { operation: 'keyMask', ...getKeyParams(options) })
+
+        maskImageData.data.set(result)
+        maskCtx.putImageData(maskImageData, 0, 0)
+        return maskCanvas
+    }
+    catch (error) {
+        log.error('Failed to create key mask', { error })
+        throw error
+    }
+}
+
+// Worker parameters for removing pixels close to a key colour
+const getKeyParams = ({ target, tolerance } = KEY_COLOR) => {
+    return {
+        targetR: target.r,
+        targetG: target.g,
+        targetB: target.b,
+        toleranceR: tolerance.r,
+        toleranceG: tolerance.g,
+        toleranceB: tolerance.b
+    }
+}
+
+const hexToHsl = (hex) => {
+    const value = parseInt(hex.slice(1), 16)
+    const r = ((value >> 16) & 255) / 255
+    const g = ((value >> 8) & 255) / 255
+    const b = (value & 255) / 255
+
+    const max = Math.max(r, g, b)
+    const min = Math.min(r, g, b)
+    const l = (max + min) / 2
+    if (max === min) return { hue: 0, saturation: 0, lightness: l }
+
+    const d = max - min
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
+    let h
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0)
+    else if (max === g) h = (b - r) / d + 2
+    else h = (r - g) / d + 4
+
+    return { hue: h * 60, saturation: s, lightness: l }
+}
+
+const DYE_CHANNELS = ['primary', 'secondary']
+
+/**
+ * Recolours the dyeable regions of an item sprite.
+ * With a mask, the red channel marks the primary region and green the secondary one.
+ * Without one, pixels are matched by the hue range of each region.
+ * @param {Image} sourceImage - Item sprite
+ * @param {Object} dye - { primary, secondary } hex colours and the item's { regions }
+ * @param {Image} [maskImage] - Dye mask, same size as the sprite
+ * @returns {Promise<Buffer>} PNG of the dyed sprite
+ */
+async function dyeImage(sourceImage, { primary, secondary, regions }, maskImage = null) {
+    try {
+        if (!sourceImage) {
+            throw new Error('Invalid source image')
+        }
+
+        // A mask drawn for another sheet (e.g. the default one under a fat sheet) can't be used
+        if (maskImage && (maskImage.width !== sourceImage.width || maskImage.height !== sourceImage.height)) {
+            maskImage = null
+        }
+
+        const colors = { primary, secondary }
+        const dyes = []
+        DYE_CHANNELS.forEach((channel, index) => {
+            if (!colors[channel]) return
+
+            const region = regions?.[channel]
+            if (maskImage) {
+                dyes.push({ maskChannel: index, ...hexToHsl(colors[channel]) })
+            } else if (region && region.hueMin != null && region.hueMax != null) {
+                dyes.push({
+                    hueMin: region.hueMin,
+                    hueMax: region.hueMax,
+                    saturationMin: region.saturationMin ?? 0.1,
+                    ...hexToHsl(colors[channel])
+                })
+            }
+        })
+
+        let sourceCanvas = createCanvas(sourceImage.width, sourceImage.height)
+        let sourceCtx = sourceCanvas.getContext('2d')
+        sourceCtx.drawImage(sourceImage, 0, 0)
+        let sourceImageData = sourceCtx.getImageData(0, 0, sourceCanvas.width, sourceCanvas.height)
+
+        if (dyes.length === 0) {
+            return sourceCanvas.toBuffer()
+        }
+
+        let maskData = null
+        if (maskImage) {
+            let maskCanvas = createCanvas(maskImage.width, maskImage.height)
+            let maskCtx = maskCanvas.getContext('2d')
+            maskCtx.drawImage(maskImage, 0, 0)
+            maskData = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height).data
+        }
+
+        const result = await processWithWorkers(sourceImageData.data, maskData, Boolean(maskData), { operation: 'dye', dyes })
+
+        sourceImageData.data.set(result)
+        sourceCtx.putImageData(sourceImageData, 0, 0)
+        return sourceCanvas.toBuffer()
+    }
+    catch (error) {
+        log.error('Failed to dye image', { error })
         throw error
     }
 }
 
-async function processWithWorkers(sourceData, maskData = null, useMask = false) {
-    const numWorkers = os.cpus().length
-    const chunkSize = Math.ceil(sourceData.length / numWorkers)
-    const workers = []
-    const promises = []
+async function processWithWorkers(sourceData, maskData = null, useMask = false, params = getKeyParams()) {
+    const workerPool = getPool()
+    // Chunks must start on a pixel boundary
+    const chunkSize = Math.ceil(sourceData.length / workerPool.size / 4) * 4
 
     // Create SharedArrayBuffer for the result
     const sharedResult = new SharedArrayBuffer(sourceData.length)
@@ -85,50 +235,26 @@ async function processWithWorkers(sourceData, maskData = null, useMask = false)
         maskData = sharedMask
     }
 
-    // Create and run workers
-    for (let i = 0; i < numWorkers; i++) {
-        const start = i * chunkSize
-        const end = Math.min(start + chunkSize, sourceData.length)
-        
-        const worker = new Worker(path.join(process.cwd(), 'app/modules/imageWorker.js'))
-        workers.push(worker)
-
-        promises.push(
-            new Promise((resolve, reject) => {
-                worker.on('error', reject)
-                worker.on('exit', (code) => {
-                    if (code !== 0) {
-                        reject(new Error(`Worker stopped with exit code ${code}`))
-                    }
-                    resolve()
-                })
-                
-                worker.postMessage({
-                    sharedResult,
-                    maskData,
-                    start,
-                    end,
-                    useMask,
-                    targetR: 0,        // Make sure these match your constants
-                    targetG: 255,
-                    targetB: 4,
-                    toleranceR: 50,
-                    toleranceG: 150,
-                    toleranceB: 50
-                })
-            })
-        )
+    // Queue one job per chunk on the shared pool
+    const jobs = []
+    for (let start = 0; start < sourceData.length; start += chunkSize) {
+        jobs.push(workerPool.run({
+            sharedResult,
+            maskData,
+            start,
+            end: Math.min(start + chunkSize, sourceData.length),
+            useMask,
+            ...params
+        }))
     }
 
-    // Wait for all workers to complete
-    await Promise.all(promises)
-    
-    // Cleanup workers
-    for (const worker of workers) {
-        worker.terminate()
-    }
+    await Promise.all(jobs)
 
     return resultView
 }
 
-export { removePixelsByImage, removePixelsByColor }
\ No newline at end of file
+const getWorkerPoolStats = () => {
+    return pool ? pool.getStatus() : { size: 0, busy: 0, idle: 0, queued: 0, utilization: 0 }
+}
+
+export { removePixelsByImage, removePixelsByColor, createKeyMask, dyeImage, getWorkerPoolStats, KEY_COLOR }
\ No newline at end of file
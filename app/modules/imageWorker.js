@@ -6,12 +6,101 @@ const isColorSimilar = (r, g, b, targetR, targetG, targetB, toleranceR, toleranc
            b >= targetB - toleranceB && b <= targetB + toleranceB
 }
 
+const rgbToHsl = (r, g, b) => {
+    r /= 255
+    g /= 255
+    b /= 255
+
+    const max = Math.max(r, g, b)
+    const min = Math.min(r, g, b)
+    const l = (max + min) / 2
+    if (max === min) return [0, 0, l]
+
+    const d = max - min
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
+    let h
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0)
+    else if (max === g) h = (b - r) / d + 2
+    else h = (r - g) / d + 4
+
+    return [h * 60, s, l]
+}
+
+const hueToRgb = (p, q, t) => {
+    if (t < 0) t += 1
+    if (t > 1) t -= 1
+    if (t < 1 / 6) return p + (q - p) * 6 * t
+    if (t < 1 / 2) return q
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6
+    return p
+}
+
+const hslToRgb = (h, s, l) => {
+    if (s === 0) return [l * 255, l * 255, l * 255]
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s
+    const p = 2 * l - q
+    h /= 360
+
+    return [hueToRgb(p, q, h + 1 / 3) * 255, hueToRgb(p, q, h) * 255, hueToRgb(p, q, h - 1 / 3) * 255]
+}
+
+// Ranges with hueMin > hueMax wrap around 0, e.g. 340-20 for reds
+const isHueInRange = (h, hueMin, hueMax) => {
+    return hueMin <= hueMax ? h >= hueMin && h <= hueMax : h >= hueMin || h <= hueMax
+}
+
+// Colorizes dyeable pixels: dye hue and saturation, pixel lightness shifted towards the dye's
+const dyePixels = (resultView, maskView, start, end, dyes) => {
+    for (let i = start; i < end; i += 4) {
+        if (resultView[i + 3] === 0) continue
+
+        const [h, s, l] = rgbToHsl(resultView[i], resultView[i + 1], resultView[i + 2])
+
+        for (const dye of dyes) {
+            let amount = 0
+            if (dye.maskChannel != null) {
+                amount = maskView ? (maskView[i + dye.maskChannel] / 255) * (maskView[i + 3] / 255) : 0
+            } else if (s >= dye.saturationMin && isHueInRange(h, dye.hueMin, dye.hueMax)) {
+                amount = 1
+            }
+            if (amount === 0) continue
+
+            const shift = dye.lightness * 2 - 1
+            const lightness = shift > 0 ? l + (1 - l) * shift : l * (1 + shift)
+            const [r, g, b] = hslToRgb(dye.hue, dye.saturation, lightness)
+
+            resultView[i] = Math.round(resultView[i] + (r - resultView[i]) * amount)
+            resultView[i + 1] = Math.round(resultView[i + 1] + (g - resultView[i + 1]) * amount)
+            resultView[i + 2] = Math.round(resultView[i + 2] + (b - resultView[i + 2]) * amount)
+            break
+        }
+    }
+}
+
+// Opaque black where a pixel has the key colour, transparent everywhere else
+const keyMaskPixels = (resultView, start, end, key) => {
+    for (let i = start; i < end; i += 4) {
+        const isKey = resultView[i + 3] === 255 && isColorSimilar(
+            resultView[i], resultView[i + 1], resultView[i + 2],
+            key.targetR, key.targetG, key.targetB,
+            key.toleranceR, key.toleranceG, key.toleranceB
+        )
+        resultView[i] = 0
+        resultView[i + 1] = 0
+        resultView[i + 2] = 0
+        resultView[i + 3] = isKey ? 255 : 0
+    }
+}
+
 parentPort.on('message', ({
     sharedResult,
     maskData,
     start,
     end,
     useMask,
+    operation,
+    dyes,
     targetR,
     targetG,
     targetB,
@@ -22,7 +111,11 @@ parentPort.on('message', ({
     const resultView = new Uint8Array(sharedResult)
     const maskView = maskData ? new Uint8Array(maskData) : null
 
-    if (useMask && maskView) {
+    if (operation === 'dye') {
+        dyePixels(resultView, useMask ? maskView : null, start, end, dyes)
+    } else if (operation === 'keyMask') {
+        keyMaskPixels(resultView, start, end, { targetR, targetG, targetB, toleranceR, toleranceG, toleranceB })
+    } else if (useMask && maskView) {
         for (let i = start; i < end; i += 4) {
             const maskR = maskView[i]
             const maskG = maskView[i + 1]
@@ -0,0 +1,150 @@
+// Default draw order for each facing, bottom layer first.
+// Items can move their own slot with Item.layering (see resolveLayerOrder).
+const getBaseLayerOrder = (direction) => {
+    // Forward-facing (0)
+    if (direction === 0) {
+        return [
+            "base",
+            "tattoo_head", "tattoo_neck", "tattoo_chest", "tattoo_stomach",
+            "tattoo_backUpper", "tattoo_backLower", "tattoo_armRight",
+            "tattoo_armLeft", "tattoo_legRight", "tattoo_legLeft",
+            "makeup", "eyes", "eyebrows", "head", "nose", "mouth", "beard",
+            "wings", "glasses",
+            "hair",
+            "socks",
+            "shoes",
+            "gloves", "bottom", "belt",
+            "bracelets", "handheld",
+            "top",
+            "necklace", "coat", "neckwear", "piercings", "earPiece", "hat", "horns",
+            "bag"
+        ]
+    }
+    else if ([1, 4].includes(direction)) {
+        return [
+            "base",
+            "tattoo_head", "tattoo_neck", "tattoo_chest", "tattoo_stomach",
+            "tattoo_backUpper", "tattoo_backLower", "tattoo_armRight",
+            "tattoo_armLeft", "tattoo_legRight", "tattoo_legLeft",
+            "makeup", "eyes", "eyebrows", "head", "nose", "mouth", "beard",
+            "glasses",
+            "hair",
+            "socks",
+            "shoes",
+            "gloves", "bottom", "belt",
+            "bracelets", "handheld",
+            "top",
+            "necklace", "coat", "neckwear", "piercings", "earPiece", "hat", "horns",
+            "wings", "bag"
+        ]
+    }
+    else if ([2, 5].includes(direction)) {
+        return [
+            "base",
+            "tattoo_head", "tattoo_neck", "tattoo_chest", "tattoo_stomach",
+            "tattoo_backUpper", "tattoo_backLower", "tattoo_armRight",
+            "tattoo_armLeft", "tattoo_legRight", "tattoo_legLeft",
+            "makeup", "eyes", "eyebrows", "head", "nose", "mouth", "beard",
+            "wings", "glasses",
+            "socks",
+            "shoes",
+            "gloves", "bottom", "belt",
+            "bracelets", "handheld",
+            "top", "necklace",
+            "coat", "hair", "piercings", "earPiece", "neckwear", "hat", "horns",
+            "bag"
+        ]
+    }
+    // Back view (3)
+    else {
+        return [
+            "base",
+            "tattoo_head", "tattoo_neck", "tattoo_chest", "tattoo_stomach",
+            "tattoo_backUpper", "tattoo_backLower", "tattoo_armRight",
+            "tattoo_armLeft", "tattoo_legRight", "tattoo_legLeft",
+            "makeup", "eyes", "eyebrows", "head", "nose", "mouth", "beard",
+            "socks",
+            "shoes",
+            "gloves", "bottom", "belt",
+            "bracelets", "handheld",
+            "piercings", "earPiece", "glasses",
+            "horns",
+            "top", "necklace", "coat",
+            "hair", "hat", "neckwear",
+            "wings", "bag"
+        ]
+    }
+}
+
+const hasLayering = (layering) => {
+    return Boolean(layering && (layering.above || layering.below || layering.directions?.length))
+}
+
+/**
+ * Translates the legacy description flags into layering rules so items that
+ * have not been migrated to Item.layering keep rendering the same way.
+ *   !x on a bottom - shoes are drawn over the pants
+ *   !s on a hair   - hair is drawn in front of the top
+ * @param {Object} slotItems - Item documents keyed by layer name
+ * @returns {Object} Layering rules keyed by layer name
+ */
+const getLegacyLayering = (slotItems) => {
+    const layering = {}
+
+    if (slotItems.bottom?.description?.includes('!x')) {
+        layering.shoes = { above: 'belt' }
+    }
+
+    if (slotItems.hair?.description?.includes('!s')) {
+        layering.hair = { above: 'neckwear', directions: [{ direction: 3, above: 'coat' }] }
+    }
+
+    return layering
+}
+
+/**
+ * Collects the layering rules for every equipped item.
+ * Structured Item.layering wins over the legacy description flags.
+ * @param {Object} slotItems - Item documents keyed by layer name
+ * @returns {Object} Layering rules keyed by layer name
+ */
+const getLayering = (slotItems) => {
+    const layering = getLegacyLayering(slotItems)
+
+    for (const [layerName, item] of Object.entries(slotItems)) {
+        if (hasLayering(item?.layering)) {
+            layering[layerName] = item.layering
+        }
+    }
+
+    return layering
+}
+
+/**
+ * Resolves the draw order for one facing.
+ * A rule moves its own slot directly above or below another slot. An entry in
+ * `directions` replaces the default rule for that facing, and an entry with no
+ * anchor keeps the slot at its default position for that facing.
+ * @param {number} direction - Facing index (0-5)
+ * @param {Object} layering - Rules keyed by layer name, as returned by getLayering
+ * @returns {string[]} Layer names, bottom layer first
+ */
+const resolveLayerOrder = (direction, layering = {}) => {
+    const order = getBaseLayerOrder(direction)
+
+    for (const [layerName, rules] of Object.entries(layering)) {
+        const rule = rules.directions?.find(d => d.direction === direction) ?? rules
+        const anchor = rule.above || rule.below
+        if (!anchor || anchor === layerName || !order.includes(anchor) || !order.includes(layerName)) {
+            continue
+        }
+
+        order.splice(order.indexOf(layerName), 1)
+        const anchorIndex = order.indexOf(anchor)
+        order.splice(rule.above ? anchorIndex + 1 : anchorIndex, 0, layerName)
+    }
+
+    return order
+}
+
+export { getBaseLayerOrder, getLayering, resolveLayerOrder }
@@ -0,0 +1,92 @@
+import { AsyncLocalStorage } from 'async_hooks'
+import crypto from 'crypto'
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+
+// LOG_LEVEL for every module, LOG_LEVELS to override some, e.g. "api=debug,queue=warn"
+const DEFAULT_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info'
+const MODULE_LEVELS = Object.fromEntries((process.env.LOG_LEVELS ?? '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([module, level]) => module && LEVELS[level]))
+
+// Correlation fields (requestId, taskId) of whatever is running, added to every line
+const context = new AsyncLocalStorage()
+
+/**
+ * Runs a function with its own correlation fields, replacing those of the caller.
+ * Everything it awaits or schedules logs with them.
+ * @param {Object} fields - e.g. { requestId } or { taskId, requestId }
+ * @param {Function} fn
+ */
+const runWithContext = (fields, fn) => context.run({ ...fields }, fn)
+
+// Correlation fields of the current request or task, {} outside of one
+const getContext = () => context.getStore() ?? {}
+
+// Errors don't survive JSON.stringify, keep what helps tracing them
+const serialize = (value) => {
+    if (!(value instanceof Error)) return value
+    return {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        stack: value.stack
+    }
+}
+
+/**
+ * Creates the logger of a module. Lines are JSON on stdout (stderr for warn and error):
+ * { time, level, module, msg, requestId?, taskId?, ...fields }
+ * @param {string} module - Name used in the output and in LOG_LEVELS
+ * @returns {Object} { debug, info, warn, error }, each (message, fields)
+ */
+const createLogger = (module) => {
+    const threshold = LEVELS[MODULE_LEVELS[module] ?? DEFAULT_LEVEL]
+
+    const write = (level, message, fields = {}) => {
+        if (LEVELS[level] < threshold) return
+
+        const entry = { time: new Date().toISOString(), level, module, msg: message, ...getContext() }
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = serialize(value)
+        }
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+        stream.write(JSON.stringify(entry) + '\n')
+    }
+
+    return {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields)
+    }
+}
+
+const httpLog = createLogger('http')
+
+/**
+ * Express middleware giving each request a correlation ID, taken from X-Request-Id
+ * when the caller sent a sensible one, echoed back in the response, and logging it once answered
+ */
+const requestContext = (req, res, next) => {
+    const provided = req.get('x-request-id')
+    const requestId = provided && /^[\w.-]{1,64}$/.test(provided) ? provided : crypto.randomUUID()
+    const start = process.hrtime.bigint()
+
+    res.set('X-Request-Id', requestId)
+    res.on('finish', () => {
+        httpLog.info('Request completed', {
+            requestId,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - start) / 1e6
+        })
+    })
+
+    runWithContext({ requestId }, next)
+}
+
+export { createLogger, runWithContext, getContext, requestContext }
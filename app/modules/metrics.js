@@ -0,0 +1,166 @@
+import client from 'prom-client'
+import { createLogger } from './logger.js'
+
+const log = createLogger('metrics')
+
+// Everything served at /metrics, including the default process metrics (CPU, memory, event loop, GC)
+const register = new client.Registry()
+client.collectDefaultMetrics({ register })
+
+const renderStageDuration = new client.Histogram({
+    name: 'avatar_render_stage_duration_seconds',
+    help: 'Time spent in each stage of a render: load (layers), compose, encode, upload',
+    labelNames: ['stage'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+})
+
+const renderDuration = new client.Histogram({
+    name: 'avatar_render_duration_seconds',
+    help: 'Time to render and upload all outputs of an avatar',
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [register]
+})
+
+const cacheRequests = new client.Counter({
+    name: 'avatar_cache_requests_total',
+    help: 'Cache lookups by cache (avatar, memory, disk) and result (hit, miss)',
+    labelNames: ['cache', 'result'],
+    registers: [register]
+})
+
+const imageFetchFailures = new client.Counter({
+    name: 'avatar_image_fetch_failures_total',
+    help: 'Item images that could not be loaded (sprite) or dyed (dye)',
+    labelNames: ['kind'],
+    registers: [register]
+})
+
+const storageDuration = new client.Histogram({
+    name: 'avatar_storage_operation_duration_seconds',
+    help: 'Latency of storage operations by driver, operation and outcome',
+    labelNames: ['driver', 'operation', 'outcome'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+})
+
+// Records a cache lookup and passes the value through
+const recordCacheLookup = (cache, value) => {
+    cacheRequests.inc({ cache, result: value ? 'hit' : 'miss' })
+    return value
+}
+
+/**
+ * Times a storage operation
+ * @param {string} driver - Storage driver name
+ * @param {string} operation - put, get, head, delete or list
+ * @param {Function} run - Performs the operation
+ */
+const timeStorage = async (driver, operation, run) => {
+    const end = storageDuration.startTimer({ driver, operation })
+    try {
+        const result = await run()
+        end({ outcome: 'success' })
+        return result
+    } catch (error) {
+        end({ outcome: 'error' })
+        throw error
+    }
+}
+
+/**
+ * Exposes the depth, wait and run times and outcomes of a render queue.
+ * Depth comes from the shared job collection, the rest from jobs run by this instance.
+ * @param {AvatarQueue} queue
+ */
+const observeQueue = (queue) => {
+    new client.Gauge({
+        name: 'avatar_queue_jobs',
+        help: 'Jobs in the render queue by status, across instances',
+        labelNames: ['status'],
+        registers: [register],
+        async collect() {
+            // Keep the last values rather than failing the whole scrape when the database is away
+            try {
+                const status = await queue.getStatus()
+                this.set({ status: 'queued' }, status.queueLength)
+                this.set({ status: 'processing' }, status.processing)
+                this.set({ status: 'failed' }, status.failed)
+            } catch (error) {
+                log.warn('Failed to collect queue metrics', { error })
+            }
+        }
+    })
+
+    new client.Gauge({
+        name: 'avatar_queue_running',
+        help: 'Jobs being rendered by this instance',
+        registers: [register],
+        collect() {
+            this.set(queue.running.size)
+        }
+    })
+
+    const waitTime = new client.Histogram({
+        name: 'avatar_queue_wait_seconds',
+        help: 'Time jobs spent queued before a worker picked them up',
+        buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+        registers: [register]
+    })
+
+    const runTime = new client.Histogram({
+        name: 'avatar_queue_job_duration_seconds',
+        help: 'Time from pickup to completion or failure of a job',
+        labelNames: ['outcome'],
+        buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+        registers: [register]
+    })
+
+    const outcomes = new client.Counter({
+        name: 'avatar_queue_jobs_total',
+        help: 'Jobs by outcome: added, completed, failed (each failed attempt), retried, dead',
+        labelNames: ['outcome'],
+        registers: [register]
+    })
+
+    const startedAt = new Map()
+    const finish = (job, outcome) => {
+        const started = startedAt.get(job._id.toString())
+        startedAt.delete(job._id.toString())
+        if (started) runTime.observe({ outcome }, (Date.now() - started) / 1000)
+        outcomes.inc({ outcome })
+    }
+
+    queue.on('task_added', () => outcomes.inc({ outcome: 'added' }))
+    queue.on('task_started', (job) => {
+        startedAt.set(job._id.toString(), Date.now())
+        const availableAt = new Date(job.availableAt ?? job.createdAt).getTime()
+        if (!isNaN(availableAt)) waitTime.observe(Math.max(0, Date.now() - availableAt) / 1000)
+    })
+    queue.on('task_completed', (job) => finish(job, 'completed'))
+    queue.on('task_failed', (job) => finish(job, 'failed'))
+    queue.on('task_retry', () => outcomes.inc({ outcome: 'retried' }))
+    queue.on('task_dead', () => outcomes.inc({ outcome: 'dead' }))
+}
+
+// Serves the metrics in the Prometheus text format
+const getMetrics = async (req, res) => {
+    try {
+        res.set('Content-Type', register.contentType)
+        res.status(200).send(await register.metrics())
+    } catch (error) {
+        log.error('Metrics error', { error })
+        res.status(500).send('Error collecting metrics')
+    }
+}
+
+export {
+    register,
+    renderStageDuration,
+    renderDuration,
+    imageFetchFailures,
+    recordCacheLookup,
+    timeStorage,
+    observeQueue,
+    getMetrics
+}
@@ -0,0 +1,93 @@
+import rateLimit, { MemoryStore } from 'express-rate-limit'
+import { getApiKey } from './auth.js'
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000
+
+// Budgets per window. requests counts every avatar request, cache hits included,
+// renders only those that queue new work or render a preview.
+// Clients are API keys (which can set their own budgets, see auth.js) or IPs.
+const CLIENT_LIMITS = {
+    requests: parseInt(process.env.RATE_LIMIT_REQUESTS) || 300,
+    renders: parseInt(process.env.RATE_LIMIT_RENDERS) || 30
+}
+
+// Per target username, whoever asks, so nobody can keep one player's avatar re-rendering.
+// Only the client budgets are advertised in RateLimit-* headers.
+const TARGET_LIMITS = {
+    requests: parseInt(process.env.RATE_LIMIT_TARGET_REQUESTS) || 600,
+    renders: parseInt(process.env.RATE_LIMIT_TARGET_RENDERS) || 10
+}
+
+const getClientKey = (req) => {
+    const apiKey = getApiKey(req)
+    return apiKey ? `key:${apiKey.name}` : `ip:${req.ip}`
+}
+
+// Answers 429 with how long to wait until the window resets
+const sendLimited = (budget) => (req, res, next, options) => {
+    const { resetTime } = req[options.requestPropertyName]
+    const retryAfter = resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : Math.ceil(WINDOW_MS / 1000)
+
+    res.set('Retry-After', String(retryAfter))
+    res.status(429).json({
+        success: false,
+        message: `Too many ${budget}, try again later`,
+        retryAfter
+    })
+}
+
+const createClientLimiter = (budget, store) => rateLimit({
+    windowMs: WINDOW_MS,
+    max: (req) => getApiKey(req)?.limits[budget] ?? CLIENT_LIMITS[budget],
+    keyGenerator: getClientKey,
+    store,
+    requestPropertyName: `${budget}RateLimit`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: sendLimited(budget)
+})
+
+const createTargetLimiter = (budget) => rateLimit({
+    windowMs: WINDOW_MS,
+    max: TARGET_LIMITS[budget],
+    keyGenerator: (req) => req.params.username,
+    skip: (req) => !req.params.username,
+    requestPropertyName: `${budget}TargetRateLimit`,
+    standardHeaders: false,
+    legacyHeaders: false,
+    handler: sendLimited(budget)
+})
+
+const clientRequestLimiter = createClientLimiter('requests')
+const targetRequestLimiter = createTargetLimiter('requests')
+// Kept at hand to give back renders the target limiter turned down
+const clientRenderStore = new MemoryStore()
+const clientRenderLimiter = createClientLimiter('renders', clientRenderStore)
+const targetRenderLimiter = createTargetLimiter('renders')
+
+// Middleware for every avatar route
+const requestLimits = [clientRequestLimiter, targetRequestLimiter]
+
+// Middleware for routes that always render, like previews
+const renderLimits = [clientRenderLimiter]
+
+// Runs a limiter outside the middleware chain, resolves false once it has answered with a 429
+const runLimiter = (limiter, req, res) => new Promise((resolve, reject) => {
+    limiter(req, res, (error) => error ? reject(error) : resolve(true))
+        .then(() => resolve(!res.headersSent), reject)
+})
+
+/**
+ * Takes a render from the client's and the target's budgets, called once a request is
+ * about to queue new work. A render the target turns down isn't charged to the client.
+ * @returns {Promise<boolean>} false if a budget is spent, the 429 has been sent
+ */
+const checkRenderLimit = async (req, res) => {
+    if (!(await runLimiter(clientRenderLimiter, req, res))) return false
+    if (await runLimiter(targetRenderLimiter, req, res)) return true
+
+    await clientRenderStore.decrement(getClientKey(req))
+    return false
+}
+
+export { requestLimits, renderLimits, checkRenderLimit }
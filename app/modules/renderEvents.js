@@ -0,0 +1,75 @@
+// Server-Sent Events subscribers waiting for renders, by username
+const subscribers = new Map()
+let connectionCount = 0
+
+const MAX_SUBSCRIBERS_PER_USER = 20
+// Open streams across all users, each one holds a socket (SSE_MAX_CONNECTIONS)
+const MAX_CONNECTIONS = parseInt(process.env.SSE_MAX_CONNECTIONS) || 1000
+const HEARTBEAT_INTERVAL = 25000 // Keeps proxies from closing idle streams
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Opens an event stream on the response and keeps it until the client disconnects
+ * @param {string} username - User whose renders the client wants to hear about
+ * @param {Object} res - Express response
+ * @returns {boolean} false if the user or the server already has too many subscribers
+ */
+const subscribe = (username, res) => {
+    const clients = subscribers.get(username) ?? new Set()
+    if (clients.size >= MAX_SUBSCRIBERS_PER_USER || isFull()) return false
+
+    res.status(200)
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    })
+    res.flushHeaders()
+    res.write('retry: 5000\n\n')
+
+    clients.add(res)
+    subscribers.set(username, clients)
+    connectionCount++
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL)
+    res.on('close', () => {
+        clearInterval(heartbeat)
+        if (clients.delete(res)) connectionCount--
+        if (clients.size === 0 && subscribers.get(username) === clients) {
+            subscribers.delete(username)
+        }
+    })
+
+    return true
+}
+
+/**
+ * Sends an event to everyone subscribed to a user
+ * @param {string} username
+ * @param {string} event - queued | processing | completed | failed
+ * @param {Object} data - Serialized as the event's JSON payload
+ */
+const publish = (username, event, data) => {
+    const clients = subscribers.get(username)
+    if (!clients) return
+
+    for (const res of clients) {
+        writeEvent(res, event, data)
+    }
+}
+
+// Sends an event to a single subscriber, e.g. the current state when it connects
+const send = (res, event, data) => writeEvent(res, event, data)
+
+const hasSubscribers = (username) => subscribers.has(username)
+
+const getSubscriberCount = () => connectionCount
+
+// Whether the server takes no more streams, whoever they are for
+const isFull = () => connectionCount >= MAX_CONNECTIONS
+
+export { subscribe, publish, send, hasSubscribers, getSubscriberCount, isFull }
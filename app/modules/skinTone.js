@@ -0,0 +1,158 @@
+import { createCanvas, loadImage } from 'canvas'
+import { LRUCache } from 'lru-cache'
+import fs from 'fs/promises'
+import path from 'path'
+
+const BASES_DIR = path.join(process.cwd(), '_bases')
+
+// Skin colour of every numeric skinTone, index = User.customization.skinTone.
+// Entries 0-22 match the hand-made bases, new tones only need a colour here.
+const SKIN_TONE_PALETTE = [
+    '#fdf9f4', '#fae7da', '#f9dbc6', '#f2cdb5', '#e8bfa2', '#e5b28a',
+    '#ca9765', '#9f6636', '#85512e', '#653e27', '#623d29', '#3a2217',
+    '#a0554f', '#feeecd', '#b6e2ed', '#ddade4', '#dd93b3', '#f0f26a',
+    '#ffffff', '#dbdbdb', '#afafaf', '#7c7c7c', '#68ea61'
+]
+
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{6})$/i
+
+// Neutral bases and masks per body, null when a body has none
+const neutralCache = new Map()
+
+const tintedCache = new LRUCache({
+    max: 10,
+    ttl: 1000 * 60 * 60
+})
+
+/**
+ * Normalizes a hex colour to #rrggbb
+ * @param {string} value - Colour with or without the leading #
+ * @returns {string|null} The normalized colour, or null if it isn't a hex colour
+ */
+const normalizeHexColor = (value) => {
+    const match = typeof value === 'string' ? value.match(HEX_COLOR_PATTERN) : null
+    return match ? `#${match[1].toLowerCase()}` : null
+}
+
+const hexToRgb = (hex) => {
+    const value = parseInt(hex.slice(1), 16)
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+// Index of the palette entry closest to a colour
+const getClosestSkinTone = (hex) => {
+    const [r, g, b] = hexToRgb(hex)
+    let closest = 0
+    let closestDistance = Infinity
+
+    SKIN_TONE_PALETTE.forEach((entry, index) => {
+        const [er, eg, eb] = hexToRgb(entry)
+        const distance = (r - er) ** 2 + (g - eg) ** 2 + (b - eb) ** 2
+        if (distance < closestDistance) {
+            closest = index
+            closestDistance = distance
+        }
+    })
+
+    return closest
+}
+
+const readBase = async (fileName) => {
+    const data = await fs.readFile(path.join(BASES_DIR, fileName)).catch(() => null)
+    return data ? await loadImage(data) : null
+}
+
+// Hand-made base for a numeric tone, the body type's own art first
+const loadLegacyBase = async (gender, bodyType, skinTone) => {
+    if (bodyType.name !== 'normal') {
+        const base = await readBase(`${gender}_${bodyType.name}_${skinTone}.png`)
+        if (base) return base
+    }
+    return await readBase(`${gender}_${skinTone}.png`)
+}
+
+/**
+ * Loads the neutral base of a body and its skin-region mask from _bases/neutral.
+ * The neutral base has white skin with grey shading, the mask is opaque wherever there is skin.
+ * @returns {Promise<Object|null>} { neutral, mask }, or null if the body has no neutral base
+ */
+const loadNeutralBase = async (gender, bodyType) => {
+    const names = bodyType.name !== 'normal' ? [`${gender}_${bodyType.name}`, gender] : [gender]
+
+    for (const name of names) {
+        if (!neutralCache.has(name)) {
+            const neutral = await readBase(`neutral/${name}.png`)
+            const mask = neutral ? await readBase(`neutral/${name}_mask.png`) : null
+            neutralCache.set(name, neutral && mask ? { neutral, mask } : null)
+        }
+
+        if (neutralCache.get(name)) return neutralCache.get(name)
+    }
+
+    return null
+}
+
+// Multiplies the skin region of the neutral base by the colour
+const tintBase = ({ neutral, mask }, color) => {
+    const { width, height } = neutral
+
+    const skin = createCanvas(width, height)
+    const skinCtx = skin.getContext('2d')
+    skinCtx.drawImage(neutral, 0, 0)
+    skinCtx.globalCompositeOperation = 'multiply'
+    skinCtx.fillStyle = color
+    skinCtx.fillRect(0, 0, width, height)
+    skinCtx.globalCompositeOperation = 'destination-in'
+    skinCtx.drawImage(mask, 0, 0)
+
+    const canvas = createCanvas(width, height)
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(neutral, 0, 0)
+    ctx.drawImage(skin, 0, 0)
+
+    return canvas
+}
+
+const loadTintedBase = async (gender, bodyType, color) => {
+    const cacheKey = `${gender}:${bodyType.name}:${color}`
+    const cached = tintedCache.get(cacheKey)
+    if (cached) return cached
+
+    const neutralBase = await loadNeutralBase(gender, bodyType)
+    if (!neutralBase) return null
+
+    const tinted = tintBase(neutralBase, color)
+    tintedCache.set(cacheKey, tinted)
+    return tinted
+}
+
+/**
+ * Loads the base body for a customization.
+ * Numeric skin tones keep their hand-made art where it exists. A hex skinColor,
+ * or a tone without art, tints the neutral base instead, and if the body has no
+ * neutral base the closest hand-made tone is used.
+ * @param {Object} customization - Same shape as User.customization
+ * @param {Object} bodyType - Body type with its name (normal, curvy, thin)
+ * @returns {Promise<Image|Canvas>} The base layer
+ */
+const loadBase = async (customization, bodyType) => {
+    const gender = customization.isMale ? 'male' : 'female'
+    const skinColor = normalizeHexColor(customization.skinColor)
+    const skinTone = customization.skinTone ?? 0
+
+    if (!skinColor) {
+        const legacyBase = await loadLegacyBase(gender, bodyType, skinTone)
+        if (legacyBase) return legacyBase
+    }
+
+    const color = skinColor ?? SKIN_TONE_PALETTE[skinTone] ?? SKIN_TONE_PALETTE[0]
+    const tintedBase = await loadTintedBase(gender, bodyType, color)
+    if (tintedBase) return tintedBase
+
+    const closestBase = await loadLegacyBase(gender, bodyType, getClosestSkinTone(color))
+    if (closestBase) return closestBase
+
+    throw new Error(`No base found for ${gender} ${bodyType.name} with skin tone ${skinColor ?? skinTone}`)
+}
+
+export { SKIN_TONE_PALETTE, normalizeHexColor, loadBase }
@@ -0,0 +1,48 @@
+import S3Storage from './s3Storage.js'
+import LocalStorage from './localStorage.js'
+import { timeStorage } from '../metrics.js'
+
+/**
+ * Creates the storage backend selected by STORAGE_DRIVER (s3 | local, defaults to s3).
+ * Every driver implements:
+ *   put(key, body, { contentType }) -> key
+ *   get(key) -> { body, contentType, lastModified, size } | null
+ *   head(key) -> { contentType, lastModified, size } | null
+ *   delete(key)
+ *   list(prefix) -> keys starting with prefix
+ *   url(key, { expires }) -> URL clients can fetch the object from
+ * @returns {S3Storage|LocalStorage}
+ */
+const createStorage = (driver = process.env.STORAGE_DRIVER || 's3') => {
+    if (driver === 'local') {
+        return new LocalStorage({
+            root: process.env.LOCAL_STORAGE_DIR || 'storage',
+            baseUrl: process.env.LOCAL_STORAGE_URL || '/storage'
+        })
+    }
+
+    if (driver === 's3') {
+        return new S3Storage({
+            endpoint: process.env.DO_ENDPOINT,
+            bucket: process.env.DO_SPACE_NAME,
+            accessKeyId: process.env.DO_SPACE_ID,
+            secretAccessKey: process.env.DO_SPACE_KEY
+        })
+    }
+
+    throw new Error(`Unknown storage driver: ${driver}`)
+}
+
+// Times every call that reaches the backend, see metrics.js
+const instrument = (driver) => {
+    for (const operation of ['put', 'get', 'head', 'delete', 'list']) {
+        const run = driver[operation].bind(driver)
+        driver[operation] = (...args) => timeStorage(driver.name, operation, () => run(...args))
+    }
+    return driver
+}
+
+const storage = instrument(createStorage())
+
+export { createStorage }
+export default storage
@@ -0,0 +1,114 @@
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+
+const CONTENT_TYPES = {
+    '.webp': 'image/webp',
+    '.png': 'image/png',
+    '.avif': 'image/avif',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.json': 'application/json'
+}
+
+// Storage in a local directory, for development and CI. Objects are served by the app under baseUrl.
+class LocalStorage {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.root = path.resolve(options.root ?? 'storage');
+        this.baseUrl = (options.baseUrl ?? '/storage').replace(/\/$/, '');
+    }
+
+    // Absolute path of a key, refusing keys that would leave the root
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    getContentType(key) {
+        return CONTENT_TYPES[path.extname(key).toLowerCase()] ?? 'application/octet-stream';
+    }
+
+    async put(key, body) {
+        const filePath = this.resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        // Write then rename, so readers never see a partial file
+        const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+        await fs.writeFile(tempPath, body);
+        await fs.rename(tempPath, filePath);
+        return key;
+    }
+
+    async get(key) {
+        const filePath = this.resolve(key);
+        try {
+            const [body, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+            return {
+                body,
+                contentType: this.getContentType(key),
+                lastModified: stats.mtime,
+                size: stats.size
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async head(key) {
+        try {
+            const stats = await fs.stat(this.resolve(key));
+            return {
+                contentType: this.getContentType(key),
+                lastModified: stats.mtime,
+                size: stats.size
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await fs.unlink(this.resolve(key)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    // Walks the directory the prefix points into, skipping files still being written
+    async list(prefix) {
+        const directory = prefix.endsWith('/') ? prefix : path.posix.dirname(prefix);
+        const start = directory === '.' ? this.root : this.resolve(directory);
+
+        const keys = [];
+        const walk = async (dir) => {
+            const entries = await fs.readdir(dir, { withFileTypes: true }).catch(error => {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            });
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(entryPath);
+                } else if (!entry.name.endsWith('.tmp')) {
+                    const key = path.relative(this.root, entryPath).split(path.sep).join('/');
+                    if (key.startsWith(prefix)) keys.push(key);
+                }
+            }
+        };
+        await walk(start);
+        return keys;
+    }
+
+    // Local objects don't expire, expires is accepted for parity with S3
+    async url(key) {
+        return `${this.baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+}
+
+export default LocalStorage
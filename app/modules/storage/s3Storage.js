@@ -0,0 +1,76 @@
+import AWS from 'aws-sdk'
+
+// Storage on any S3-compatible service, DigitalOcean Spaces by default
+class S3Storage {
+    constructor(options = {}) {
+        this.name = 's3';
+        this.bucket = options.bucket;
+        this.acl = options.acl ?? 'public-read';
+        this.s3 = new AWS.S3({
+            endpoint: new AWS.Endpoint(options.endpoint),
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey
+        });
+    }
+
+    async put(key, body, { contentType } = {}) {
+        const result = await this.s3.upload({
+            Bucket: this.bucket,
+            Key: key,
+            Body: body,
+            ACL: this.acl,
+            ...(contentType && { ContentType: contentType })
+        }).promise();
+        return result.Key;
+    }
+
+    async get(key) {
+        try {
+            const object = await this.s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+            return {
+                body: object.Body,
+                contentType: object.ContentType,
+                lastModified: object.LastModified,
+                size: object.ContentLength
+            };
+        } catch (error) {
+            if (error.code === 'NoSuchKey' || error.code === 'NotFound') return null;
+            throw error;
+        }
+    }
+
+    async head(key) {
+        try {
+            const object = await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+            return {
+                contentType: object.ContentType,
+                lastModified: object.LastModified,
+                size: object.ContentLength
+            };
+        } catch (error) {
+            if (error.code === 'NotFound' || error.code === 'NoSuchKey') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+    }
+
+    async list(prefix) {
+        const keys = [];
+        let continuationToken;
+        do {
+            const page = await this.s3.listObjectsV2({ Bucket: this.bucket, Prefix: prefix, ContinuationToken: continuationToken }).promise();
+            keys.push(...(page.Contents ?? []).map(object => object.Key));
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return keys;
+    }
+
+    async url(key, { expires = 3600 } = {}) {
+        return await this.s3.getSignedUrlPromise('getObject', { Bucket: this.bucket, Key: key, Expires: expires });
+    }
+}
+
+export default S3Storage
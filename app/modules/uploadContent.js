@@ -1,18 +1,16 @@
 import { v4 as uuid } from 'uuid'
 import multer from 'multer'
-import aws from 'aws-sdk'
 import sharp from 'sharp'
 import path from 'path'
+import storage from './storage/index.js'
+import { createLogger } from './logger.js'
 
-const upload = multer({ storage: multer.memoryStorage() })
+const log = createLogger('upload')
 
-const s3 = new aws.S3({
-    endpoint: new aws.Endpoint(process.env.DO_ENDPOINT),
-    credentials: new aws.Credentials(process.env.DO_SPACE_ID, process.env.DO_SPACE_KEY)
-})
+const upload = multer({ storage: multer.memoryStorage() })
 
 /**
- * @description Uploads a file to DigitalOcean Spaces with optional resizing and returns the new filename.
+ * @description Uploads a file to the configured storage with optional resizing and returns the new filename.
  * @param {string} previousMedia - The previous media to be deleted.
  * @param {object} file - The file to be uploaded.
  * @param {string} location - The location in the bucket to upload the file.
@@ -32,13 +30,11 @@ const uploadImage = (previousMedia, file, location, maxSize, resizePixels, error
 
     return new Promise(async (resolve, reject) => {
         try {
-            if (previousMedia != undefined && previousMedia != null && previousMedia != '') {
-                s3.deleteObject({
-                    Bucket: process.env.DO_SPACE_NAME,
-                    Key: previousMedia
-                }, async (err, data) => {
-                    if (err) console.log(err)
-                })
+            const key = `${location}/${fileName ? fileName : uuid()}.webp` //`${location}/${fileName ? fileName : uuid()}${path.extname(file.name)}`
+
+            // Same key gets overwritten anyway, deleting it could race the upload
+            if (previousMedia != undefined && previousMedia != null && previousMedia != '' && previousMedia != key) {
+                storage.delete(previousMedia).catch(error => log.warn('Failed to delete previous media', { key: previousMedia, error }))
             }
 
             let data = file.data
@@ -54,17 +50,11 @@ const uploadImage = (previousMedia, file, location, maxSize, resizePixels, error
                 data = await sharp(data).webp({ quality: 75 }).toBuffer()
             }
 
-            const uploadData = {
-                Bucket: process.env.DO_SPACE_NAME,
-                Body: data,
-                ACL: 'public-read'/*'private'*/,
-                Key: `${location}/${fileName ? fileName : uuid()}.webp` //`${location}/${fileName ? fileName : uuid()}${path.extname(file.name)}` 
-            }
-            const uploadDone = await s3.upload(uploadData).promise()
-            resolve(uploadDone.Key)
+            resolve(await storage.put(key, data, { contentType: 'image/webp' }))
+            log.debug('Uploaded', { key, size: data.length })
         }
         catch (error) {
-            console.log(error)
+            log.error('Upload failed', { location, fileName, error })
             reject(error)
         }
     })
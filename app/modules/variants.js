@@ -0,0 +1,108 @@
+import sharp from 'sharp'
+import { encodeAnimatedWebp } from './animatedWebp.js'
+
+// Output formats of the avatar route
+const FORMATS = {
+    webp: { contentType: 'image/webp', encode: (image) => image.webp({ quality: 90 }) },
+    png: { contentType: 'image/png', encode: (image) => image.png({ compressionLevel: 9 }) },
+    avif: { contentType: 'image/avif', encode: (image) => image.avif({ quality: 60 }) }
+}
+
+// Sizes (longest side in px) and scales that may be requested, anything else is refused
+// so a client can't fill storage with one variant per pixel
+const VARIANT_SIZES = (process.env.VARIANT_SIZES || '32,48,64,96,128,256,512')
+    .split(',')
+    .map(size => parseInt(size))
+    .filter(size => size > 0)
+const VARIANT_SCALES = [0.25, 0.5, 0.75, 1.5, 2]
+
+/**
+ * Parses the format and the size/scale query parameters of an avatar request
+ * @param {string} format - Extension of the request (webp, png, avif)
+ * @param {Object} query - Request query, with size or scale
+ * @returns {Object|null} { format, size, scale }, or null if anything is invalid
+ */
+const parseVariant = (format = 'webp', query = {}) => {
+    if (!FORMATS[format]) return null
+    if (query.size !== undefined && query.scale !== undefined) return null
+
+    const variant = { format, size: null, scale: null }
+    if (query.size !== undefined) {
+        const size = Number(query.size)
+        if (!VARIANT_SIZES.includes(size)) return null
+        variant.size = size
+    }
+    if (query.scale !== undefined) {
+        const scale = Number(query.scale)
+        if (scale !== 1 && !VARIANT_SCALES.includes(scale)) return null
+        if (scale !== 1) variant.scale = scale
+    }
+    return variant
+}
+
+// The original output: WebP at the rendered size
+const isOriginal = (variant) => variant.format === 'webp' && !variant.size && !variant.scale
+
+/**
+ * Parses a variant spec like thumbnail@64.webp, avatar@x0.5.png or avatar.avif
+ * @returns {Object|null} { type, format, size, scale }
+ */
+const parseVariantSpec = (spec) => {
+    const match = spec.trim().match(/^(\w+)(?:@(x?)([\d.]+))?\.(\w+)$/)
+    if (!match) return null
+
+    const [, type, isScale, amount, format] = match
+    const variant = parseVariant(format, amount ? { [isScale ? 'scale' : 'size']: amount } : {})
+    return variant && !isOriginal(variant) ? { type, ...variant } : null
+}
+
+/**
+ * Storage key of a variant next to its original, e.g. user-thumbnail/bob.webp -> user-thumbnail/bob@64.png
+ * @param {string} key - Key of the original output
+ * @param {Object} variant - As returned by parseVariant
+ * @returns {string}
+ */
+const getVariantKey = (key, variant) => {
+    if (isOriginal(variant)) return key
+
+    const suffix = variant.size ? `@${variant.size}` : variant.scale ? `@x${variant.scale}` : ''
+    return `${key.replace(/\.webp$/, '')}${suffix}.${variant.format}`
+}
+
+const getTargetSize = (width, height, variant) => {
+    if (variant.size) {
+        const ratio = variant.size / Math.max(width, height)
+        return { width: Math.max(1, Math.round(width * ratio)), height: Math.max(1, Math.round(height * ratio)) }
+    }
+    if (variant.scale) {
+        return { width: Math.max(1, Math.round(width * variant.scale)), height: Math.max(1, Math.round(height * variant.scale)) }
+    }
+    return { width, height }
+}
+
+/**
+ * Converts an output to a variant. Animated WebP stays animated as WebP,
+ * PNG and AVIF get the first frame.
+ * @param {Buffer} buffer - The original output
+ * @param {Object} variant - As returned by parseVariant
+ * @returns {Promise<Buffer>} The encoded variant
+ */
+const renderVariant = async (buffer, variant) => {
+    const metadata = await sharp(buffer).metadata()
+    const frames = metadata.pages ?? 1
+    const { width, height } = getTargetSize(metadata.width, metadata.pageHeight ?? metadata.height, variant)
+
+    if (frames > 1 && variant.format === 'webp') {
+        const resizedFrames = []
+        for (let page = 0; page < frames; page++) {
+            resizedFrames.push(await sharp(buffer, { page }).resize(width, height, { fit: 'fill' }).png().toBuffer())
+        }
+        return await encodeAnimatedWebp(resizedFrames, { width, height, delay: metadata.delay?.[0] ?? 100, quality: 90 })
+    }
+
+    return await FORMATS[variant.format].encode(sharp(buffer).resize(width, height, { fit: 'fill' })).toBuffer()
+}
+
+const getContentType = (variant) => FORMATS[variant.format].contentType
+
+export { FORMATS, parseVariant, parseVariantSpec, isOriginal, getVariantKey, renderVariant, getContentType }
@@ -0,0 +1,125 @@
+import { Worker } from 'worker_threads'
+import EventEmitter from 'events'
+
+// Long-lived pool of worker threads fed from a FIFO job queue
+class WorkerPool extends EventEmitter {
+    constructor(workerPath, size) {
+        super();
+        this.workerPath = workerPath;
+        this.size = Math.max(1, size);
+        this.workers = [];
+        this.queue = [];
+        this.stats = {
+            completed: 0,
+            failed: 0,
+            respawns: 0,
+            busyTime: 0
+        };
+        this.startedAt = Date.now();
+
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawn());
+        }
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(this.workerPath), job: null };
+
+        slot.worker.on('message', (message) => this.finish(slot, null, message));
+        slot.worker.on('error', (error) => this.finish(slot, error));
+        slot.worker.on('exit', (code) => {
+            if (slot.terminated) return;
+
+            // Reject whatever it was working on and replace the thread
+            this.finish(slot, new Error(`Worker stopped with exit code ${code}`));
+            const index = this.workers.indexOf(slot);
+            if (index !== -1) {
+                this.workers[index] = this.spawn();
+                this.stats.respawns++;
+                this.emit('respawn', code);
+                setImmediate(() => this.dispatch());
+            }
+        });
+
+        // Idle workers should not keep the process alive
+        slot.worker.unref();
+        return slot;
+    }
+
+    /**
+     * Queues a job for the next idle worker
+     * @param {Object} message - Posted to the worker as is
+     * @returns {Promise<*>} The message the worker answers with
+     */
+    run(message) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ message, resolve, reject, queuedAt: Date.now() });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        for (const slot of this.workers) {
+            if (this.queue.length === 0) return;
+            if (slot.job) continue;
+
+            slot.job = this.queue.shift();
+            slot.job.startedAt = Date.now();
+            slot.worker.ref();
+            slot.worker.postMessage(slot.job.message);
+        }
+    }
+
+    finish(slot, error, result) {
+        const job = slot.job;
+        if (!job) return;
+
+        slot.job = null;
+        slot.worker.unref();
+        this.stats.busyTime += Date.now() - job.startedAt;
+
+        if (error) {
+            this.stats.failed++;
+            job.reject(error);
+        } else {
+            this.stats.completed++;
+            job.resolve(result);
+        }
+
+        this.dispatch();
+    }
+
+    getStatus() {
+        const busy = this.workers.filter(slot => slot.job).length;
+        const uptime = Date.now() - this.startedAt;
+
+        return {
+            size: this.size,
+            busy,
+            idle: this.size - busy,
+            queued: this.queue.length,
+            utilization: busy / this.size,
+            averageUtilization: uptime > 0 ? this.stats.busyTime / (uptime * this.size) : 0,
+            ...this.stats
+        };
+    }
+
+    async destroy() {
+        const workers = this.workers;
+        this.workers = [];
+
+        for (const job of this.queue.splice(0)) {
+            job.reject(new Error('Worker pool destroyed'));
+        }
+        for (const slot of workers) {
+            if (slot.job) slot.job.reject(new Error('Worker pool destroyed'));
+        }
+
+        await Promise.all(workers.map(slot => {
+            slot.terminated = true;
+            return slot.worker.terminate();
+        }));
+    }
+}
+
+export default WorkerPool